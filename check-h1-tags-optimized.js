@@ -1,12 +1,12 @@
 import { config } from 'dotenv';
-import { Client } from '@notionhq/client';
+import { createNotionClient } from './lib/notion-client.js';
 import { getAllPages, getPageContent } from './lib/page-fetcher.js';
 import chalk from 'chalk';
 import ora from 'ora';
 
 config();
 
-const notion = new Client({ auth: process.env.NOTION_API_KEY });
+const notion = createNotionClient();
 
 async function checkH1Tags() {
   const spinner = ora('Fetching all pages from Notion...').start();
@@ -1,12 +1,15 @@
-import { config } from 'dotenv';
-import { Client } from '@notionhq/client';
+import { createNotionClient } from './lib/notion-client.js';
 import { getAllPages, getPageContent } from './lib/page-fetcher.js';
+import { runWithConcurrency } from './lib/worker-pool.js';
 import chalk from 'chalk';
 import ora from 'ora';
 
-config();
+const notion = createNotionClient();
 
-const notion = new Client({ auth: process.env.NOTION_API_KEY });
+// Pages are checked in parallel; the shared rate limiter in the client keeps
+// the request rate within Notion's limit whatever the concurrency
+const concurrencyIndex = process.argv.indexOf('--concurrency');
+const concurrency = concurrencyIndex !== -1 ? parseInt(process.argv[concurrencyIndex + 1], 10) : undefined;
 
 async function checkH1Tags() {
   const spinner = ora('Fetching all pages from Notion...').start();
@@ -22,9 +25,10 @@ async function checkH1Tags() {
     
     const progressSpinner = ora('Checking pages for h1 tags...').start();
     
-    for (let i = 0; i < pages.length; i++) {
-      const page = pages[i];
-      progressSpinner.text = `Checking page ${i + 1}/${pages.length}...`;
+    let checkedPages = 0;
+    
+    await runWithConcurrency(pages, concurrency, async (page) => {
+      progressSpinner.text = `Checking page ${++checkedPages}/${pages.length}...`;
       
       try {
         const blocks = await getPageContent(notion, page.id);
@@ -52,7 +56,7 @@ async function checkH1Tags() {
       } catch (error) {
         console.error(chalk.red(`Error checking page ${page.id}: ${error.message}`));
       }
-    }
+    });
     
     progressSpinner.succeed('Finished checking all pages');
     
@@ -1,13 +1,13 @@
-import { Client } from '@notionhq/client';
+import { createNotionClient } from './lib/notion-client.js';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
 import ora from 'ora';
+import { createJournal } from './lib/journal.js';
 
 dotenv.config();
 
-const notion = new Client({
-  auth: process.env.NOTION_API_KEY,
-});
+// Created in main() once the API key has been checked
+let notion;
 
 async function findBlogsDatabase() {
   const spinner = ora('Searching for Blogs database...').start();
@@ -45,6 +45,7 @@ async function clearContent64Fields(databaseId) {
   console.log(chalk.cyan('\n🧹 Starting Content64 field cleanup...\n'));
 
   const spinner = ora('Fetching all blog pages...').start();
+  const journal = createJournal('cleanup-content64', { databaseId });
 
   try {
     let hasMore = true;
@@ -115,6 +116,7 @@ async function clearContent64Fields(databaseId) {
                 }
               });
 
+              journal.recordPropertyUpdate(page.id, fieldName, { rich_text: field.rich_text }, { rich_text: [] });
               fieldsCleared++;
               spinner.stop();
               console.log(chalk.green(`  ✅ Cleared ${fieldName}`));
@@ -161,6 +163,7 @@ async function clearContent64Fields(databaseId) {
       console.log(chalk.red(`❌ Field clear errors: ${errorCount}`));
     }
     console.log(chalk.blue('═'.repeat(40)));
+    console.log(chalk.gray(`↩️  To restore the cleared fields: npm start undo ${journal.runId}`));
     console.log(chalk.green('\n✨ Cleanup complete!\n'));
 
   } catch (error) {
@@ -172,13 +175,15 @@ async function clearContent64Fields(databaseId) {
 async function main() {
   console.log(chalk.blue.bold('\n🗑️  Content64 Field Cleanup Tool\n'));
   console.log(chalk.yellow('⚠️  This will clear all Content64 data from your blog posts.'));
-  console.log(chalk.yellow('    This action cannot be easily undone!\n'));
+  console.log(chalk.yellow('    Cleared values are journaled and can be restored with `npm start undo <run-id>`.\n'));
 
   if (!process.env.NOTION_API_KEY) {
     console.error(chalk.red('❌ NOTION_API_KEY is not set in .env file'));
     process.exit(1);
   }
 
+  notion = createNotionClient();
+
   const databaseId = await findBlogsDatabase();
   if (!databaseId) {
     console.error(chalk.red('Failed to find Blogs database'));
@@ -1,4 +1,6 @@
-import { Client } from '@notionhq/client';
+import { createNotionClient } from './lib/notion-client.js';
+import { withRetry } from './lib/retry.js';
+import { splitTextIntoChunks } from './lib/text-chunks.js';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
@@ -6,9 +8,7 @@ import ora from 'ora';
 
 dotenv.config();
 
-const notion = new Client({
-  auth: process.env.NOTION_API_KEY,
-});
+const notion = createNotionClient();
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
@@ -46,77 +46,6 @@ async function findBlogsDatabase() {
   }
 }
 
-function splitTextIntoChunks(text, maxLength = 4000) {
-  if (text.length <= maxLength) {
-    return [text];
-  }
-
-  const chunks = [];
-  let currentPosition = 0;
-
-  while (currentPosition < text.length) {
-    let chunkEnd = Math.min(currentPosition + maxLength, text.length);
-
-    if (chunkEnd < text.length) {
-      // Look for sentence endings before the max length
-      let searchStart = Math.max(currentPosition, chunkEnd - 1000);
-      let bestSentenceEnd = -1;
-
-      // Search backwards from chunkEnd for sentence endings
-      for (let i = chunkEnd - 1; i > searchStart; i--) {
-        const char = text[i];
-        if (char === '.' || char === '!' || char === '?') {
-          // Check if this is likely a sentence end (followed by space, newline, or end of text)
-          if (i === text.length - 1 || text[i + 1] === ' ' || text[i + 1] === '\n' || text[i + 1] === '\r') {
-            bestSentenceEnd = i + 1;
-            break;
-          }
-        }
-      }
-
-      // If we found a sentence ending, use it
-      if (bestSentenceEnd > currentPosition) {
-        chunkEnd = bestSentenceEnd;
-      } else {
-        // If no sentence ending found in reasonable range, look further back
-        searchStart = Math.max(currentPosition, chunkEnd - 2000);
-        for (let i = chunkEnd - 1; i > searchStart; i--) {
-          const char = text[i];
-          if (char === '.' || char === '!' || char === '?') {
-            if (i === text.length - 1 || text[i + 1] === ' ' || text[i + 1] === '\n' || text[i + 1] === '\r') {
-              bestSentenceEnd = i + 1;
-              break;
-            }
-          }
-        }
-
-        if (bestSentenceEnd > currentPosition) {
-          chunkEnd = bestSentenceEnd;
-        } else {
-          // Last resort: find the last space to avoid breaking words
-          const lastSpace = text.lastIndexOf(' ', chunkEnd);
-          if (lastSpace > currentPosition) {
-            chunkEnd = lastSpace;
-          }
-        }
-      }
-    }
-
-    const chunk = text.substring(currentPosition, chunkEnd).trim();
-    if (chunk) {
-      chunks.push(chunk);
-    }
-
-    currentPosition = chunkEnd;
-    // Skip any whitespace at the start of the next chunk
-    while (currentPosition < text.length && (text[currentPosition] === ' ' || text[currentPosition] === '\n' || text[currentPosition] === '\r')) {
-      currentPosition++;
-    }
-  }
-
-  return chunks;
-}
-
 async function concatenateAudioBuffers(audioBuffers) {
   const totalLength = audioBuffers.reduce((acc, buf) => acc + buf.length, 0);
   const concatenated = Buffer.concat(audioBuffers, totalLength);
@@ -141,30 +70,20 @@ async function convertTextToSpeech(text, maxRetries = 3) {
     const chunk = chunks[i];
     console.log(chalk.gray(`  🎤 Processing chunk ${i + 1}/${chunks.length} (${chunk.length} chars)`));
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const mp3Response = await openai.audio.speech.create({
-          model: "tts-1",
-          voice: "onyx",
-          input: chunk,
-          speed: 1.0,
-          response_format: "opus"
-        });
-
-        const buffer = Buffer.from(await mp3Response.arrayBuffer());
-        audioBuffers.push(buffer);
-
-        break;
-      } catch (error) {
-        console.log(chalk.yellow(`  ⚠ Chunk ${i + 1} attempt ${attempt}/${maxRetries} failed: ${error.message}`));
-
-        if (attempt === maxRetries) {
-          console.log(chalk.red(`  ✗ Failed to convert chunk ${i + 1} after ${maxRetries} attempts`));
-          return null;
-        }
-
-        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-      }
+    try {
+      const mp3Response = await withRetry(() => openai.audio.speech.create({
+        model: "tts-1",
+        voice: "onyx",
+        input: chunk,
+        speed: 1.0,
+        response_format: "opus"
+      }), { operation: `openai.audio.speech.create (chunk ${i + 1})`, maxRetries });
+
+      const buffer = Buffer.from(await mp3Response.arrayBuffer());
+      audioBuffers.push(buffer);
+    } catch (error) {
+      console.log(chalk.red(`  ✗ Failed to convert chunk ${i + 1}: ${error.message}`));
+      return null;
     }
 
     if (i < chunks.length - 1) {
@@ -210,33 +129,12 @@ async function convertTextToSpeech(text, maxRetries = 3) {
 async function updatePageWithAudio(pageId, audioChunks) {
   try {
     let successfulFields = [];
-    const BATCH_SIZE = 5; // Update only 5 fields, then pause
-    const BATCH_DELAY = 5000; // 5 second pause between batches
-    const MINI_BATCH_SIZE = 3; // Mini pause every 3 fields
-    const MINI_BATCH_DELAY = 2000; // 2 second mini pause
 
     console.log(chalk.gray(`  📊 Total fields to update: ${audioChunks.length}`));
 
-    // Add initial delay to let Notion recover from previous operations
-    console.log(chalk.gray(`  ⏱️  Initial 2s delay before starting updates...`));
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    // Update each field separately to avoid exceeding Notion's request size limit
+    // Update each field separately to avoid exceeding Notion's request size limit.
+    // Pacing and retries of transient errors are handled by the Notion client.
     for (let fieldIndex = 0; fieldIndex < audioChunks.length; fieldIndex++) {
-      // Special handling before field 13 - Notion seems to have issues here
-      if (fieldIndex === 12) {
-        console.log(chalk.cyan(`  ⚠️  Approaching field 13 - taking extra 8-second pause to reset Notion...`));
-        await new Promise(resolve => setTimeout(resolve, 8000));
-      }
-
-      // Add longer delay after every batch of fields to avoid rate limiting
-      if (fieldIndex > 0 && fieldIndex % BATCH_SIZE === 0) {
-        console.log(chalk.cyan(`  ⏸️  Major pause for ${BATCH_DELAY/1000}s to reset rate limits (completed ${fieldIndex}/${audioChunks.length} fields)`));
-        await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
-      } else if (fieldIndex > 0 && fieldIndex % MINI_BATCH_SIZE === 0) {
-        console.log(chalk.gray(`  ⏸️  Mini pause for ${MINI_BATCH_DELAY/1000}s (completed ${fieldIndex}/${audioChunks.length} fields)`));
-        await new Promise(resolve => setTimeout(resolve, MINI_BATCH_DELAY));
-      }
       const fieldName = fieldIndex === 0 ? 'Content64' : `Content64_${fieldIndex + 1}`;
       const audioBase64 = audioChunks[fieldIndex];
 
@@ -263,100 +161,24 @@ async function updatePageWithAudio(pageId, audioChunks) {
       const estimatedPayloadKB = (audioBase64.length * 5 / 1024).toFixed(0);
       console.log(chalk.gray(`  📝 Updating field ${fieldName} (${(audioBase64.length / 1024).toFixed(0)} KB → ${numTextChunks} chunks → ~${estimatedPayloadKB} KB payload)`));
 
-      // Update this field individually with retry logic
-      let retries = 0;
-      const MAX_RETRIES = 3; // Increased retries with longer delays
-
-      while (retries <= MAX_RETRIES) {
-        try {
-          await notion.pages.update({
-            page_id: pageId,
-            properties: {
-              [fieldName]: {
-                rich_text: textChunks
-              }
-            }
-          });
-          successfulFields.push(fieldName);
-          break; // Success, exit retry loop
-        } catch (fieldError) {
-          retries++;
-
-          if (fieldError.message.includes('internal_server_error')) {
-            // Special handling for field 13 - Notion may have cumulative limits
-            if (fieldIndex === 12 && retries === 0) { // Content64_13 is index 12, first attempt
-              console.log(chalk.yellow(`  ⚠️  Field 13 often fails due to Notion limits`));
-              console.log(chalk.cyan(`  ⏸️  Taking a 10-second break to reset Notion's systems...`));
-              await new Promise(resolve => setTimeout(resolve, 10000));
-              console.log(chalk.cyan(`  🔄 Retrying with smaller payload...`));
-
-              // Try with a smaller chunk for field 13
-              const smallerChunks = [];
-              const smallChunkSize = 1000; // Much smaller chunks for field 13+
-              for (let i = 0; i < Math.min(audioBase64.length, 50000); i += smallChunkSize) {
-                smallerChunks.push({
-                  type: 'text',
-                  text: {
-                    content: audioBase64.substring(i, Math.min(i + smallChunkSize, audioBase64.length))
-                  }
-                });
-              }
-
-              try {
-                await notion.pages.update({
-                  page_id: pageId,
-                  properties: {
-                    [fieldName]: {
-                      rich_text: smallerChunks
-                    }
-                  }
-                });
-                successfulFields.push(fieldName);
-                console.log(chalk.green(`  ✅ Successfully updated ${fieldName} with reduced payload`));
-                break; // Exit retry loop on success
-              } catch (retryError) {
-                console.log(chalk.yellow(`  ⚠️  Still failed with smaller payload, continuing retries...`));
-                // Continue with normal retry logic
-              }
-            }
-
-            if (retries <= MAX_RETRIES) {
-              const retryDelay = 3000 * retries; // Exponential backoff: 3s, 6s, 9s
-              console.log(chalk.yellow(`  ⚠️  Internal error on ${fieldName}, retrying in ${retryDelay/1000}s (attempt ${retries}/${MAX_RETRIES})`));
-              await new Promise(resolve => setTimeout(resolve, retryDelay));
-            } else {
-              throw fieldError;
-            }
-          } else if (fieldError.message.includes('validation_error') || fieldError.message.includes('path.not_found')) {
-            console.log(chalk.yellow(`  ⏭️  Field ${fieldName} doesn't exist, stopping here`));
-            console.log(chalk.cyan(`  💡 Create fields up to Content64_${audioChunks.length} in Notion to store complete audio`));
-            return successfulFields.length > 0; // Return success if we stored some audio
-          } else {
-            console.error(chalk.red(`  ✗ Failed to update ${fieldName}: ${fieldError.message}`));
-            if (retries > MAX_RETRIES) {
-              throw fieldError;
+      try {
+        await notion.pages.update({
+          page_id: pageId,
+          properties: {
+            [fieldName]: {
+              rich_text: textChunks
             }
           }
+        });
+        successfulFields.push(fieldName);
+      } catch (fieldError) {
+        if (fieldError.code === 'validation_error' || fieldError.message.includes('path.not_found')) {
+          console.log(chalk.yellow(`  ⏭️  Field ${fieldName} doesn't exist, stopping here`));
+          console.log(chalk.cyan(`  💡 Create fields up to Content64_${audioChunks.length} in Notion to store complete audio`));
+          return successfulFields.length > 0; // Return success if we stored some audio
         }
-      }
-
-      // Progressive delay between updates to avoid rate limiting
-      let delay;
-      if (fieldIndex < 3) {
-        delay = 1000; // 1s for first 3 fields
-      } else if (fieldIndex < 6) {
-        delay = 1500; // 1.5s for fields 4-6
-      } else if (fieldIndex < 10) {
-        delay = 2000; // 2s for fields 7-10
-      } else if (fieldIndex < 13) {
-        delay = 3000; // 3s for fields 11-13
-      } else {
-        delay = 4000; // 4s for fields 14+
-      }
-
-      if (fieldIndex < audioChunks.length - 1) {
-        console.log(chalk.gray(`  ⏱️  Waiting ${delay/1000}s before next field...`));
-        await new Promise(resolve => setTimeout(resolve, delay));
+        console.error(chalk.red(`  ✗ Failed to update ${fieldName}: ${fieldError.message}`));
+        throw fieldError;
       }
     }
 
@@ -1,13 +1,11 @@
-import { Client } from '@notionhq/client';
+import { createNotionClient } from './lib/notion-client.js';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
 import ora from 'ora';
 
 dotenv.config();
 
-const notion = new Client({
-  auth: process.env.NOTION_API_KEY,
-});
+const notion = createNotionClient();
 
 async function extractTextFromBlock(block) {
   let text = '';
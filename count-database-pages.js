@@ -1,11 +1,11 @@
 import { config } from 'dotenv';
-import { Client } from '@notionhq/client';
+import { createNotionClient } from './lib/notion-client.js';
 import chalk from 'chalk';
 import ora from 'ora';
 
 config();
 
-const notion = new Client({ auth: process.env.NOTION_API_KEY });
+const notion = createNotionClient();
 
 async function countDatabasePages(databaseId) {
   const spinner = ora('Fetching pages from database...').start();
@@ -1,9 +1,14 @@
 #!/usr/bin/env node
 
-import { program } from 'commander';
+import { program, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
 import { createNotionClient } from './lib/notion-client.js';
 import { findAndReplaceInWorkspace } from './lib/find-replace.js';
+import { buildSearchPattern, REPLACEMENT_TARGETS } from './lib/text-processor.js';
+import { hasLinkOperations, parseQueryParams } from './lib/link-rewriter.js';
+import { hasScope, describeScope, normalizeId } from './lib/scope.js';
+import { DEFAULT_CONCURRENCY } from './lib/worker-pool.js';
+import { CONVERTIBLE_BLOCK_TYPES } from './lib/block-converter.js';
 import readline from 'readline';
 
 const rl = readline.createInterface({
@@ -26,33 +31,85 @@ program
   .command('replace')
   .description('Find and replace text in all Notion pages')
   .option('-s, --search <text>', 'Text to search for')
-  .option('-r, --replace <text>', 'Text to replace with')
+  .option('-r, --replace <text>', 'Text to replace with ($1, $<name> backreferences in --regex mode)')
+  .option('-m, --mapping <file>', 'Apply many search/replace rules from a CSV, JSON or YAML file in one pass')
+  .option('--keep-order', 'Apply mapping rules in file order, even when one rewrites another\'s output')
+  .option('--regex', 'Treat the search text as a regular expression')
+  .option('--ignore-case', 'Match case-insensitively')
+  .option('--whole-word', 'Only match whole words ("Colby" but not "Colbyville")')
+  .option('--preserve-case', 'Match any casing and adapt the replacement to it (lower, UPPER, Title)')
+  .option('--equations', 'Also search inline equation expressions')
+  .option('--in <target>', `Where to replace: ${REPLACEMENT_TARGETS.join(', ')}`, parseTarget, 'all')
+  .option('--set-host <host>', 'Change the host of link URLs that match the search')
+  .option('--add-param <name=value...>', 'Set query parameters on link URLs that match the search')
+  .option('--remove-param <names...>', 'Remove query parameters (wildcards allowed, e.g. utm_*) from matching link URLs')
+  .option('--multiline', 'Let ^ and $ match at line breaks (with --regex)')
+  .option('--properties [names...]', 'Also search page properties (optionally only the named ones)')
+  .option('--properties-only', 'Search page properties only, not block content')
+  .option('--no-recursive', 'Only search top-level blocks, not nested ones')
+  .option('--max-depth <n>', 'Maximum nesting depth to descend into', parseInteger)
+  .option('--include-child-pages', 'Also descend into child pages and inline databases')
+  .option('--exclude-code', 'Leave code blocks untouched')
+  .option('--code-languages <languages...>', 'Only change code blocks in these languages (e.g. javascript python)')
   .option('-y, --yes', 'Skip confirmation prompt')
+  .option('--interactive', 'Approve or skip each match one at a time')
+  .option('-c, --context <n>', 'Characters of context to show around each match (with --interactive)', parseInteger, 40)
   .option('--silent', 'Suppress warnings about individual block errors')
   .action(async (options) => {
     try {
       let searchText = options.search;
       let replaceText = options.replace;
+      const matchOptions = getMatchOptions(options);
+      const rules = options.mapping ? await loadMappingRules(options.mapping, matchOptions, options.keepOrder) : null;
       
-      if (!searchText) {
-        searchText = await prompt(chalk.cyan('Enter text to search for: '));
+      if (!rules) {
+        if (!searchText) {
+          searchText = await prompt(chalk.cyan('Enter text to search for: '));
+        }
+        
+        // Link operations can run on their own, leaving matched text as it is
+        if (!replaceText && !hasLinkOperations(matchOptions.linkOperations)) {
+          replaceText = await prompt(chalk.cyan('Enter replacement text: '));
+        }
+        
+        if (!searchText) {
+          console.error(chalk.red('Search text cannot be empty'));
+          process.exit(1);
+        }
+        
+        validateSearchPattern(searchText, matchOptions);
       }
       
-      if (!replaceText) {
-        replaceText = await prompt(chalk.cyan('Enter replacement text: '));
-      }
+      const scope = getScopeOptions(options);
       
-      if (!searchText) {
-        console.error(chalk.red('Search text cannot be empty'));
-        process.exit(1);
+      if (hasScope(scope)) {
+        console.log(chalk.yellow(`\n⚠️  WARNING: This will modify pages in scope: ${describeScope(scope)}`));
+      } else {
+        console.log(chalk.yellow('\n⚠️  WARNING: This will modify all pages in your Notion workspace!'));
+      }
+      if (rules) {
+        const { describeRule } = await import('./lib/mapping.js');
+        console.log(chalk.gray(`Applying ${rules.length} rules from ${options.mapping}, in this order:`));
+        rules.forEach(rule => console.log(chalk.gray(`  ${describeRule(rule)}`)));
+      } else {
+        console.log(chalk.gray(`Searching for: "${searchText}"`));
+        if (replaceText !== undefined) {
+          console.log(chalk.gray(`Replacing with: "${replaceText}"`));
+        }
+      }
+      if (matchOptions.target !== 'all') {
+        console.log(chalk.gray(`Only replacing in: ${matchOptions.target}`));
+      }
+      if (hasLinkOperations(matchOptions.linkOperations)) {
+        console.log(chalk.gray(`Link operations: ${JSON.stringify(matchOptions.linkOperations)}`));
+      }
+      if (matchOptions.regex && !rules) {
+        console.log(chalk.gray(`Pattern: ${buildSearchPattern(searchText, matchOptions)}`));
       }
-      
-      console.log(chalk.yellow('\n⚠️  WARNING: This will modify all pages in your Notion workspace!'));
-      console.log(chalk.gray(`Searching for: "${searchText}"`));
-      console.log(chalk.gray(`Replacing with: "${replaceText}"`));
       console.log(chalk.gray('[LOG] Starting replacement operation...'));
       
-      if (!options.yes) {
+      // Interactive runs ask about every match instead
+      if (!options.yes && !options.interactive) {
         const confirm = await prompt(chalk.yellow('\nDo you want to continue? (yes/no): '));
         if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
           console.log(chalk.gray('Operation cancelled'));
@@ -67,20 +124,63 @@ program
       const notion = createNotionClient();
       console.log(chalk.gray('[LOG] Notion client created successfully'));
       console.log(chalk.gray('[LOG] Starting find and replace operation...'));
-      const results = await findAndReplaceInWorkspace(notion, searchText, replaceText, {
-        silent: options.silent
+      const approver = options.interactive ? await createInteractiveApprover(options.context) : null;
+      const results = await findAndReplaceInWorkspace(notion, searchText, replaceText ?? null, {
+        silent: options.silent,
+        concurrency: options.concurrency,
+        ...matchOptions,
+        ...getPropertyOptions(options),
+        ...getTraversalOptions(options),
+        scope,
+        ...(rules && { rules }),
+        ...(approver && {
+          approveMatch: approver.approveMatch,
+          isCancelled: approver.isCancelled
+        })
       });
       
-      console.log(chalk.green('\n✅ Operation completed!'));
+      if (results.cancelled) {
+        console.log(chalk.yellow('\n⏹  Operation stopped early; remaining pages were not processed.'));
+      } else {
+        console.log(chalk.green('\n✅ Operation completed!'));
+      }
       console.log(chalk.white(`\nSummary:`));
       console.log(chalk.gray(`• Total pages scanned: ${results.totalPages}`));
       console.log(chalk.blue(`• Pages modified: ${results.modifiedPages.length}`));
       console.log(chalk.blue(`• Total replacements: ${results.totalReplacements}`));
+      if (options.interactive) {
+        console.log(chalk.green(`• Accepted matches: ${results.totalReplacements}`));
+        console.log(chalk.yellow(`• Skipped matches: ${results.skippedMatches}`));
+      }
+      if (results.tableCellReplacements > 0) {
+        console.log(chalk.blue(`• Replacements in table cells: ${results.tableCellReplacements}`));
+      }
+      if (results.propertyReplacements > 0) {
+        console.log(chalk.blue(`• Replacements in page properties: ${results.propertyReplacements}`));
+      }
+      
+      if (results.rules) {
+        console.log(chalk.white('\nReplacements per rule:'));
+        results.rules.forEach(rule => {
+          const color = rule.replacements > 0 ? chalk.blue : chalk.gray;
+          console.log(color(`  • ${rule.name} "${rule.search}" → "${rule.replace}": ${rule.replacements} in ${rule.pages} page(s)`));
+        });
+      }
       
       if (results.modifiedPages.length > 0) {
         console.log(chalk.white('\nModified pages:'));
         results.modifiedPages.forEach(page => {
-          console.log(chalk.gray(`  • ${page.title} (${page.replacements} replacements)`));
+          const tableNote = page.tableCellReplacements > 0 ? `, ${page.tableCellReplacements} in table cells` : '';
+          const propertyNote = page.propertyReplacements > 0 ? `, ${page.propertyReplacements} in properties` : '';
+          const skippedNote = page.skippedMatches > 0 ? `, ${page.skippedMatches} skipped` : '';
+          console.log(chalk.gray(`  • ${page.title} (${page.replacements} replacements${tableNote}${propertyNote}${skippedNote})`));
+        });
+      }
+      
+      if (results.skippedPages.length > 0) {
+        console.log(chalk.white('\nPages with only skipped matches:'));
+        results.skippedPages.forEach(page => {
+          console.log(chalk.gray(`  • ${page.title} (${page.skippedMatches} skipped)`));
         });
       }
       
@@ -91,6 +191,8 @@ program
         });
       }
       
+      console.log(chalk.gray(`\n↩️  To roll back this run: npm start undo ${results.runId}`));
+      
       rl.close();
       
     } catch (error) {
@@ -107,6 +209,66 @@ program
     }
   });
 
+program
+  .command('convert')
+  .description('Convert blocks of one type to another (e.g. quote to paragraph)')
+  .requiredOption('--from <type>', `Block type to convert: ${CONVERTIBLE_BLOCK_TYPES.join(', ')}`, parseBlockType)
+  .requiredOption('--to <type>', 'Block type to convert to', parseBlockType)
+  .option('--wrap-quotes', 'Put the converted text in quotation marks')
+  .option('--force', 'Convert even when the new type cannot keep everything (checked state, icon, language, ...); nested blocks are never dropped')
+  .option('--no-recursive', 'Only convert top-level blocks, not nested ones')
+  .option('-d, --dry-run', 'Preview changes without making them')
+  .option('-y, --yes', 'Skip confirmation prompt')
+  .action(async (options) => {
+    try {
+      const { convertWorkspaceBlocks, printConversionSummary } = await import('./lib/block-converter.js');
+      
+      if (options.from === options.to) {
+        console.error(chalk.red('--from and --to must be different block types'));
+        rl.close();
+        process.exit(1);
+      }
+      
+      const scope = getScopeOptions(options);
+      
+      if (!options.yes && !options.dryRun) {
+        const target = hasScope(scope) ? `pages in scope (${describeScope(scope)})` : 'your entire workspace';
+        console.log(chalk.yellow(`\n⚠️  WARNING: This will convert ALL ${options.from} blocks to ${options.to} across ${target}!`));
+        console.log(chalk.yellow('Every change is journaled and can be rolled back with `npm start undo <run-id>`.\n'));
+        
+        const confirm = await prompt(chalk.yellow('Do you want to continue? (yes/no): '));
+        if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
+          console.log(chalk.gray('Operation cancelled'));
+          rl.close();
+          process.exit(0);
+        }
+      }
+      
+      const notion = createNotionClient();
+      const results = await convertWorkspaceBlocks(notion, options.from, options.to, {
+        dryRun: options.dryRun,
+        force: options.force,
+        wrapQuotes: options.wrapQuotes,
+        recursive: options.recursive,
+        concurrency: options.concurrency,
+        reportFile: options.report,
+        scope
+      });
+      
+      printConversionSummary(results);
+      
+      if (results.errors.some(error => /use force/.test(error.error))) {
+        console.log(chalk.gray('\nBlocks that would lose data were left alone; pass --force to convert them anyway.'));
+      }
+      
+      rl.close();
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error: ${error.message}`));
+      rl.close();
+      process.exit(1);
+    }
+  });
+
 program
   .command('convert-checkboxes')
   .description('Convert all checkboxes (to-do items) to bullet points')
@@ -116,9 +278,12 @@ program
     try {
       const { convertCheckboxesToBullets } = await import('./convert-checkboxes-to-bullets.js');
       
+      const scope = getScopeOptions(options);
+      
       if (!options.yes && !options.dryRun) {
-        console.log(chalk.yellow('\n⚠️  WARNING: This will convert ALL checkboxes to bullet points across your entire workspace!'));
-        console.log(chalk.yellow('This action cannot be easily undone.\n'));
+        const target = hasScope(scope) ? `pages in scope (${describeScope(scope)})` : 'your entire workspace';
+        console.log(chalk.yellow(`\n⚠️  WARNING: This will convert ALL checkboxes to bullet points across ${target}!`));
+        console.log(chalk.yellow('Every change is journaled and can be rolled back with `npm start undo <run-id>`.\n'));
         
         const confirm = await prompt(chalk.yellow('Do you want to continue? (yes/no): '));
         if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
@@ -129,7 +294,11 @@ program
       }
       
       const notion = createNotionClient();
-      await convertCheckboxesToBullets(notion, options.dryRun);
+      await convertCheckboxesToBullets(notion, options.dryRun, {
+        scope,
+        concurrency: options.concurrency,
+        reportFile: options.report
+      });
       
       rl.close();
     } catch (error) {
@@ -148,9 +317,12 @@ program
     try {
       const { convertQuotesToText } = await import('./convert-quotes-to-text.js');
       
+      const scope = getScopeOptions(options);
+      
       if (!options.yes && !options.dryRun) {
-        console.log(chalk.yellow('\n⚠️  WARNING: This will convert ALL quote blocks to quoted paragraphs across your entire workspace!'));
-        console.log(chalk.yellow('This action cannot be easily undone.\n'));
+        const target = hasScope(scope) ? `pages in scope (${describeScope(scope)})` : 'your entire workspace';
+        console.log(chalk.yellow(`\n⚠️  WARNING: This will convert ALL quote blocks to quoted paragraphs across ${target}!`));
+        console.log(chalk.yellow('Every change is journaled and can be rolled back with `npm start undo <run-id>`.\n'));
         
         const confirm = await prompt(chalk.yellow('Do you want to continue? (yes/no): '));
         if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
@@ -161,7 +333,229 @@ program
       }
       
       const notion = createNotionClient();
-      await convertQuotesToText(notion, options.dryRun);
+      await convertQuotesToText(notion, options.dryRun, {
+        scope,
+        concurrency: options.concurrency,
+        reportFile: options.report
+      });
+      
+      rl.close();
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error: ${error.message}`));
+      rl.close();
+      process.exit(1);
+    }
+  });
+
+program
+  .command('retarget-mentions')
+  .description('Point page, database or user mentions at a different target')
+  .option('--from <id>', 'ID or URL of the currently mentioned page, database or user', normalizeId)
+  .option('--to <id>', 'ID or URL the mentions should point to instead', normalizeId)
+  .option('--targets <file>', 'JSON file of { "from-id": "to-id" } pairs, for many targets at once')
+  .option('--no-recursive', 'Only search top-level blocks, not nested ones')
+  .option('--max-depth <n>', 'Maximum nesting depth to descend into', parseInteger)
+  .option('--include-child-pages', 'Also descend into child pages and inline databases')
+  .option('-d, --dry-run', 'Preview changes without making them')
+  .option('-y, --yes', 'Skip confirmation prompt')
+  .action(async (options) => {
+    try {
+      const { createMentionTargets } = await import('./lib/text-processor.js');
+      const pairs = {};
+      
+      if (options.targets) {
+        const fs = await import('fs');
+        Object.assign(pairs, JSON.parse(fs.readFileSync(options.targets, 'utf8')));
+      }
+      if (options.from || options.to) {
+        if (!options.from || !options.to) {
+          console.error(chalk.red('--from and --to must be given together'));
+          rl.close();
+          process.exit(1);
+        }
+        pairs[options.from] = options.to;
+      }
+      
+      const mentionTargets = createMentionTargets(pairs);
+      if (mentionTargets.size === 0) {
+        console.error(chalk.red('Nothing to retarget: pass --from and --to, or --targets <file>'));
+        rl.close();
+        process.exit(1);
+      }
+      
+      const scope = getScopeOptions(options);
+      
+      if (!options.yes && !options.dryRun) {
+        const target = hasScope(scope) ? `pages in scope (${describeScope(scope)})` : 'your entire workspace';
+        console.log(chalk.yellow(`\n⚠️  WARNING: This will rewrite mentions of ${mentionTargets.size} target(s) across ${target}!`));
+        mentionTargets.forEach((toId, fromId) => console.log(chalk.gray(`  ${fromId} → ${toId}`)));
+        console.log(chalk.yellow('Every change is journaled and can be rolled back with `npm start undo <run-id>`.\n'));
+        
+        const confirm = await prompt(chalk.yellow('Do you want to continue? (yes/no): '));
+        if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
+          console.log(chalk.gray('Operation cancelled'));
+          rl.close();
+          process.exit(0);
+        }
+      }
+      
+      const notion = createNotionClient();
+      const results = await findAndReplaceInWorkspace(notion, null, null, {
+        operation: 'retarget-mentions',
+        mentionTargets,
+        dryRun: options.dryRun,
+        concurrency: options.concurrency,
+        ...getTraversalOptions(options),
+        scope
+      });
+      
+      console.log(chalk.green(`\n✅ ${options.dryRun ? 'Dry run' : 'Operation'} completed!`));
+      console.log(chalk.white(`\nSummary:`));
+      console.log(chalk.gray(`• Total pages scanned: ${results.totalPages}`));
+      console.log(chalk.blue(`• Pages ${options.dryRun ? 'that would change' : 'modified'}: ${results.modifiedPages.length}`));
+      console.log(chalk.blue(`• Mentions ${options.dryRun ? 'to retarget' : 'retargeted'}: ${results.mentionRetargets}`));
+      
+      results.modifiedPages.forEach(page => {
+        console.log(chalk.gray(`  • ${page.title} (${page.mentionRetargets} mention(s))`));
+      });
+      
+      if (results.errors.length > 0) {
+        console.log(chalk.red(`\n⚠️  Errors encountered: ${results.errors.length}`));
+        results.errors.forEach(error => {
+          console.log(chalk.red(`  • ${error.pageTitle}: ${error.error}`));
+        });
+      }
+      
+      if (results.runId) {
+        console.log(chalk.gray(`\n↩️  To roll back this run: npm start undo ${results.runId}`));
+      }
+      
+      rl.close();
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error: ${error.message}`));
+      rl.close();
+      process.exit(1);
+    }
+  });
+
+program
+  .command('lint')
+  .description('Check pages against content rules (headings, links, captions, leftover to-dos...)')
+  .option('--format <format>', 'Report format: console, json or junit', parseLintFormat, 'console')
+  .option('-o, --output <file>', 'Where to save a json or junit report (default content-lint.json / content-lint.xml)')
+  .option('--rules <ids...>', 'Only run these rules')
+  .option('--disable <ids...>', 'Skip these rules')
+  .option('--plugin <files...>', 'Load extra rules from these modules')
+  .option('--max-paragraph-length <n>', 'Characters before long-paragraph reports a paragraph', parseInteger)
+  .option('--published-status <names...>', 'Status or select values that mark a post as published (default Published, Live)')
+  .option('--list-rules', 'List the available rules and exit')
+  .action(async (options) => {
+    try {
+      const { lintWorkspace, selectRules, loadRuleModules, renderLintJson, renderLintJUnit, printLintReport } = await import('./lib/content-lint.js');
+      const { DEFAULT_RULES } = await import('./lib/lint-rules/index.js');
+      
+      const available = [...DEFAULT_RULES, ...await loadRuleModules(options.plugin)];
+      
+      if (options.listRules) {
+        console.log(chalk.white('\nAvailable rules:'));
+        available.forEach(rule => {
+          console.log(chalk.gray(`  • ${rule.id} (${rule.severity}): ${rule.description}`));
+        });
+        rl.close();
+        return;
+      }
+      
+      const rules = selectRules(available, { only: options.rules, disable: options.disable });
+      
+      const notion = createNotionClient();
+      const results = await lintWorkspace(notion, {
+        rules,
+        scope: getScopeOptions(options),
+        concurrency: options.concurrency,
+        maxParagraphLength: options.maxParagraphLength,
+        publishedStatuses: options.publishedStatus
+      });
+      
+      printLintReport(results);
+      
+      if (options.format !== 'console') {
+        const fs = await import('fs');
+        const output = options.output || (options.format === 'junit' ? 'content-lint.xml' : 'content-lint.json');
+        fs.writeFileSync(output, options.format === 'junit' ? renderLintJUnit(results) : renderLintJson(results));
+        console.log(chalk.green(`\n${options.format === 'junit' ? 'JUnit' : 'JSON'} report saved to ${output}`));
+      }
+      
+      rl.close();
+      
+      // Errors fail the run, so the command can gate a CI pipeline
+      if (results.counts.error > 0 || results.errors.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error: ${error.message}`));
+      rl.close();
+      process.exit(1);
+    }
+  });
+
+program
+  .command('undo [run-id]')
+  .description('Roll back a previous run using its journal')
+  .option('-l, --list', 'List journaled runs')
+  .option('-d, --dry-run', 'Show what would be restored without making changes')
+  .option('-f, --force', 'Undo a run even if it was already undone')
+  .option('-y, --yes', 'Skip confirmation prompt')
+  .action(async (runId, options) => {
+    try {
+      const { listRuns } = await import('./lib/journal.js');
+      
+      if (options.list || !runId) {
+        const runs = listRuns();
+        if (runs.length === 0) {
+          console.log(chalk.yellow('No journaled runs found.'));
+        } else {
+          console.log(chalk.white('\nJournaled runs:'));
+          runs.forEach(run => {
+            const status = run.undone ? chalk.gray(' (undone)') : '';
+            console.log(chalk.gray(`  • ${run.runId}  ${run.operation}  ${run.changes} change(s)`) + status);
+          });
+        }
+        rl.close();
+        return;
+      }
+      
+      const { undoRun } = await import('./lib/undo.js');
+      
+      if (!options.yes && !options.dryRun) {
+        console.log(chalk.yellow(`\n⚠️  WARNING: This will restore every block and property changed by run ${runId}.`));
+        console.log(chalk.yellow('Edits made to those blocks after the run will be overwritten.\n'));
+        
+        const confirm = await prompt(chalk.yellow('Do you want to continue? (yes/no): '));
+        if (confirm.toLowerCase() !== 'yes' && confirm.toLowerCase() !== 'y') {
+          console.log(chalk.gray('Operation cancelled'));
+          rl.close();
+          process.exit(0);
+        }
+      }
+      
+      const notion = createNotionClient();
+      const results = await undoRun(notion, runId, {
+        dryRun: options.dryRun,
+        force: options.force
+      });
+      
+      console.log(chalk.green(`\n✅ Undo ${options.dryRun ? 'preview ' : ''}completed!`));
+      console.log(chalk.white(`\nSummary:`));
+      console.log(chalk.gray(`• Run: ${results.runId} (${results.operation})`));
+      console.log(chalk.gray(`• Journaled changes: ${results.total}`));
+      console.log(chalk.blue(`• ${options.dryRun ? 'Changes that would be restored' : 'Changes restored'}: ${results.restored}`));
+      
+      if (results.errors.length > 0) {
+        console.log(chalk.red(`\n⚠️  Errors encountered: ${results.errors.length}`));
+        results.errors.forEach(error => {
+          console.log(chalk.red(`  • #${error.seq} ${error.action} ${error.id}: ${error.error}`));
+        });
+      }
       
       rl.close();
     } catch (error) {
@@ -175,6 +569,27 @@ program
   .command('dry-run')
   .description('Preview what would be replaced without making changes')
   .option('-s, --search <text>', 'Text to search for')
+  .option('--regex', 'Treat the search text as a regular expression')
+  .option('--ignore-case', 'Match case-insensitively')
+  .option('--whole-word', 'Only match whole words ("Colby" but not "Colbyville")')
+  .option('--preserve-case', 'Match any casing and adapt the replacement to it (lower, UPPER, Title)')
+  .option('--equations', 'Also search inline equation expressions')
+  .option('--in <target>', `Where to replace: ${REPLACEMENT_TARGETS.join(', ')}`, parseTarget, 'all')
+  .option('--set-host <host>', 'Change the host of link URLs that match the search')
+  .option('--add-param <name=value...>', 'Set query parameters on link URLs that match the search')
+  .option('--remove-param <names...>', 'Remove query parameters (wildcards allowed, e.g. utm_*) from matching link URLs')
+  .option('--multiline', 'Let ^ and $ match at line breaks (with --regex)')
+  .option('--properties [names...]', 'Also search page properties (optionally only the named ones)')
+  .option('--properties-only', 'Search page properties only, not block content')
+  .option('--no-recursive', 'Only search top-level blocks, not nested ones')
+  .option('--max-depth <n>', 'Maximum nesting depth to descend into', parseInteger)
+  .option('--include-child-pages', 'Also descend into child pages and inline databases')
+  .option('--exclude-code', 'Leave code blocks untouched')
+  .option('--code-languages <languages...>', 'Only change code blocks in these languages (e.g. javascript python)')
+  .option('-r, --replace <text>', 'Replacement text, to show each match before and after')
+  .option('-c, --context <n>', 'Characters of context to show around each match', parseInteger, 40)
+  .option('--no-snippets', 'Only print per-page counts')
+  .option('-e, --export <file>', 'Save the full preview as JSON, or HTML if the file ends in .html')
   .action(async (options) => {
     try {
       let searchText = options.search;
@@ -188,74 +603,71 @@ program
         process.exit(1);
       }
       
+      const matchOptions = getMatchOptions(options);
+      validateSearchPattern(searchText, matchOptions);      
       console.log(chalk.cyan(`\nSearching for occurrences of: "${searchText}"...\n`));
       console.log(chalk.gray('[LOG] Starting dry-run operation...'));
       
       console.log(chalk.gray('[LOG] Creating Notion client...'));
       const notion = createNotionClient();
       console.log(chalk.gray('[LOG] Notion client created successfully'));
-      const { getAllPages, getPageContent } = await import('./lib/page-fetcher.js');
-      const { extractTextFromBlock } = await import('./lib/text-processor.js');
-      
-      console.log(chalk.gray('[LOG] Fetching all pages for dry-run...'));
-      const pages = await getAllPages(notion);
-      console.log(chalk.gray(`[LOG] Starting to scan ${pages.length} pages for occurrences...`));
-      let totalOccurrences = 0;
-      const pagesWithMatches = [];
-      
-      for (let idx = 0; idx < pages.length; idx++) {
-        const page = pages[idx];
-        const pageTitle = getPageTitle(page);
-        console.log(chalk.gray(`[LOG] Scanning page ${idx + 1}/${pages.length}: ${pageTitle}`));
-        const blocks = await getPageContent(notion, page.id);
-        let pageOccurrences = 0;
-        
-        for (const block of blocks) {
-          const texts = extractTextFromBlock(block);
-          for (const richText of texts) {
-            // Check regular text content
-            if (richText.type === 'text' && richText.text?.content) {
-              const matches = (richText.text.content.match(new RegExp(escapeRegExp(searchText), 'g')) || []).length;
-              if (matches > 0) {
-                pageOccurrences += matches;
-              }
-            }
-            
-            // Check link URLs
-            if (richText.type === 'text' && richText.text?.link?.url) {
-              const matches = (richText.text.link.url.match(new RegExp(escapeRegExp(searchText), 'g')) || []).length;
-              if (matches > 0) {
-                pageOccurrences += matches;
-                console.log(chalk.gray(`[LOG]   Found ${matches} occurrence(s) in link URL: ${richText.text.link.url}`));
-              }
-            }
-            
-            // Check href
-            if (richText.href) {
-              const matches = (richText.href.match(new RegExp(escapeRegExp(searchText), 'g')) || []).length;
-              if (matches > 0) {
-                pageOccurrences += matches;
-                console.log(chalk.gray(`[LOG]   Found ${matches} occurrence(s) in href: ${richText.href}`));
-              }
-            }
+      const { previewWorkspace, renderPreviewJson, renderPreviewHtml } = await import('./lib/preview.js');
+      
+      const preview = await previewWorkspace(notion, searchText, options.replace ?? null, {
+        ...matchOptions,
+        ...getPropertyOptions(options),
+        ...getTraversalOptions(options),
+        scope: getScopeOptions(options),
+        contextLength: options.context
+      });
+      
+      if (preview.totalMatches === 0) {
+        console.log(chalk.yellow('No occurrences found.'));
+      } else {
+        console.log(chalk.green(`Found ${preview.totalMatches} occurrences in ${preview.pages.length} pages:\n`));
+        preview.pages.forEach(page => {
+          const notes = [];
+          if (page.tableCellMatches > 0) notes.push(`${page.tableCellMatches} in table cells`);
+          if (page.propertyMatches > 0) notes.push(`${page.propertyMatches} in properties`);
+          const detail = notes.length > 0 ? ` (${notes.join(', ')})` : '';
+          console.log(chalk.white(`  • ${page.title}: ${page.matches.length} occurrence(s)${detail}`));
+          
+          if (options.snippets !== false) {
+            page.matches.forEach(match => printMatch(match));
+            console.log();
           }
-        }
+        });
         
-        if (pageOccurrences > 0) {
-          totalOccurrences += pageOccurrences;
-          pagesWithMatches.push({ title: pageTitle, occurrences: pageOccurrences });
+        const tableCellMatches = preview.pages.reduce((sum, page) => sum + page.tableCellMatches, 0);
+        const propertyMatches = preview.pages.reduce((sum, page) => sum + page.propertyMatches, 0);
+        if (tableCellMatches > 0) {
+          console.log(chalk.gray(`\n${tableCellMatches} of these occurrences are in table cells`));
+        }
+        if (propertyMatches > 0) {
+          console.log(chalk.gray(`${propertyMatches} of these occurrences are in page properties`));
         }
       }
       
-      if (totalOccurrences === 0) {
-        console.log(chalk.yellow('No occurrences found.'));
-      } else {
-        console.log(chalk.green(`Found ${totalOccurrences} occurrences in ${pagesWithMatches.length} pages:\n`));
-        pagesWithMatches.forEach(page => {
-          console.log(chalk.gray(`  • ${page.title}: ${page.occurrences} occurrence(s)`));
+      const codeLanguages = Object.entries(preview.codeMatches);
+      const excludedLanguages = Object.entries(preview.excludedCodeMatches);
+      if (codeLanguages.length > 0 || excludedLanguages.length > 0) {
+        console.log(chalk.white('\nCode block matches by language:'));
+        codeLanguages.forEach(([language, count]) => {
+          console.log(chalk.gray(`  • ${language}: ${count}`));
+        });
+        excludedLanguages.forEach(([language, count]) => {
+          console.log(chalk.gray(`  • ${language}: ${count} (excluded, not counted above)`));
         });
       }
       
+      if (options.export) {
+        const fs = await import('fs');
+        const format = options.export.toLowerCase().endsWith('.html') ? 'html' : 'json';
+        const output = format === 'html' ? renderPreviewHtml(preview) : renderPreviewJson(preview);
+        fs.writeFileSync(options.export, output);
+        console.log(chalk.green(`\nFull preview saved to ${options.export}`));
+      }
+      
       rl.close();
       
     } catch (error) {
@@ -265,26 +677,249 @@ program
     }
   });
 
-function getPageTitle(page) {
-  if (page.properties?.title?.title?.[0]?.plain_text) {
-    return page.properties.title.title[0].plain_text;
+// Loads and orders mapping rules, exiting when they cannot be applied safely
+async function loadMappingRules(filePath, matchOptions, keepOrder) {
+  const { loadMappingFile, orderRules, detectRuleDependencies } = await import('./lib/mapping.js');
+  let rules;
+  
+  try {
+    rules = loadMappingFile(filePath, matchOptions);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    rl.close();
+    process.exit(1);
+  }
+  
+  if (keepOrder) {
+    const dependencies = detectRuleDependencies(rules).filter(({ producer, consumer }) => consumer.id > producer.id);
+    dependencies.forEach(({ producer, consumer, text }) => {
+      console.log(chalk.yellow(`⚠️  Rule ${consumer.name} will rewrite "${text}" produced by rule ${producer.name}`));
+    });
+    return rules;
+  }
+  
+  const ordered = orderRules(rules);
+  
+  if (ordered.conflicts.length > 0) {
+    console.error(chalk.red('\nMapping rules rewrite each other\'s output and cannot be ordered:'));
+    ordered.conflicts.forEach(({ producer, consumer, text }) => {
+      console.error(chalk.red(`  • ${producer.name} produces "${text}", which ${consumer.name} searches for`));
+    });
+    console.error(chalk.gray('Split the rules into separate runs, or pass --keep-order to apply them in file order anyway.'));
+    rl.close();
+    process.exit(1);
   }
   
-  if (page.properties?.Name?.title?.[0]?.plain_text) {
-    return page.properties.Name.title[0].plain_text;
+  if (ordered.reordered) {
+    console.log(chalk.yellow('⚠️  Rules were reordered so that no rule rewrites the output of another'));
   }
   
-  for (const prop in page.properties) {
-    if (page.properties[prop]?.title?.[0]?.plain_text) {
-      return page.properties[prop].title[0].plain_text;
+  return ordered.rules;
+}
+
+async function createInteractiveApprover(contextLength) {
+  const { describeMatch, getBlockUrl } = await import('./lib/preview.js');
+  const pageDecisions = new Map();
+  let quit = false;
+  
+  return {
+    isCancelled: () => quit,
+    
+    approveMatch: async ({ page, pageTitle, block, property, match, cell, field, rule }) => {
+      if (quit) return false;
+      
+      const pageDecision = pageDecisions.get(page.id);
+      if (pageDecision === 'all') return true;
+      if (pageDecision === 'skip') return false;
+      
+      console.log(chalk.white(`\n📄 ${pageTitle}`) + (rule ? chalk.gray(`  rule ${rule.name}`) : ''));
+      printMatch({
+        blockType: property ? 'property' : block.type,
+        blockUrl: property ? page.url : getBlockUrl(page, block),
+        ...(property && { property }),
+        ...(field && { field }),
+        ...describeMatch(match, match.replacement, contextLength, cell)
+      });
+      
+      while (true) {
+        const answer = (await prompt(chalk.cyan('Replace? [y]es, [n]o, [a]ll in this page, [s]kip page, [q]uit: '))).trim().toLowerCase();
+        
+        switch (answer) {
+          case 'y':
+          case 'yes':
+            return true;
+          case 'n':
+          case 'no':
+            return false;
+          case 'a':
+            pageDecisions.set(page.id, 'all');
+            return true;
+          case 's':
+            pageDecisions.set(page.id, 'skip');
+            return false;
+          case 'q':
+            quit = true;
+            return false;
+          default:
+            console.log(chalk.gray('Please answer y, n, a, s or q.'));
+        }
+      }
     }
+  };
+}
+
+function printMatch(match) {
+  const clean = (text) => text.replace(/\s*\n\s*/g, ' ⏎ ');
+  const where = match.property ? `property "${match.property}"` :
+                match.cell !== undefined ? `${match.blockType} cell ${match.cell + 1}` :
+                match.language ? `${match.blockType} (${match.language})` :
+                match.field ? `${match.blockType} ${match.field}` :
+                match.blockType;
+  const location = ['text', 'property', 'url'].includes(match.location) ? '' : ` ${match.location}`;
+  const note = match.readOnly ? chalk.yellow(' (read-only in the API, edit by hand)') : '';
+  
+  console.log(chalk.gray(`    [${where}${location}] ${match.blockUrl || ''}`) + note);
+  console.log(chalk.red(`      - …${clean(match.before)}`) + chalk.bgRed.white(clean(match.matched)) + chalk.red(`${clean(match.after)}…`));
+  if (match.replacement !== null) {
+    console.log(chalk.green(`      + …${clean(match.before)}`) + chalk.bgGreen.black(clean(match.replacement)) + chalk.green(`${clean(match.after)}…`));
+  }
+}
+
+function getMatchOptions(options) {
+  return {
+    regex: !!options.regex,
+    ignoreCase: !!options.ignoreCase,
+    multiline: !!options.multiline,
+    wholeWord: !!options.wholeWord,
+    preserveCase: !!options.preserveCase,
+    equations: !!options.equations,
+    target: options.in || 'all',
+    linkOperations: getLinkOperations(options)
+  };
+}
+
+function getLinkOperations(options) {
+  let addParams;
+  try {
+    addParams = parseQueryParams(options.addParam);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    rl.close();
+    process.exit(1);
   }
   
-  return 'Untitled';
+  return {
+    host: options.setHost,
+    addParams,
+    removeParams: options.removeParam || []
+  };
+}
+
+function parseBlockType(value) {
+  if (!CONVERTIBLE_BLOCK_TYPES.includes(value)) {
+    throw new InvalidArgumentError(`Expected one of: ${CONVERTIBLE_BLOCK_TYPES.join(', ')}.`);
+  }
+  return value;
+}
+
+function parseLintFormat(value) {
+  if (!['console', 'json', 'junit'].includes(value)) {
+    throw new InvalidArgumentError('Expected one of: console, json, junit.');
+  }
+  return value;
+}
+
+function parseTarget(value) {
+  if (!REPLACEMENT_TARGETS.includes(value)) {
+    throw new InvalidArgumentError(`Expected one of: ${REPLACEMENT_TARGETS.join(', ')}.`);
+  }
+  return value;
+}
+
+function getPropertyOptions(options) {
+  const propertiesOnly = !!options.propertiesOnly;
+  let properties = options.properties || propertiesOnly;
+  
+  // `--properties` with no names means every supported property
+  if (Array.isArray(properties) && properties.length === 0) {
+    properties = true;
+  }
+  
+  return { properties, propertiesOnly };
+}
+
+function getTraversalOptions(options) {
+  return {
+    recursive: options.recursive !== false,
+    maxDepth: options.maxDepth,
+    includeChildPages: !!options.includeChildPages,
+    excludeCode: !!options.excludeCode,
+    codeLanguages: options.codeLanguages
+  };
+}
+
+// Every command that walks the workspace shares the same scope filters
+function addScopeOptions(command) {
+  return command
+    .option('--database <id>', 'Only pages in this database (ID or URL)', normalizeId)
+    .option('--parent <page-id>', 'Only pages below this page, at any depth (ID or URL)', normalizeId)
+    .option('--edited-after <date>', 'Only pages last edited after this date (e.g. 2026-01-31)', parseDate)
+    .option('--edited-before <date>', 'Only pages last edited before this date', parseDate)
+    .option('--title <pattern>', 'Only pages whose title matches a glob ("Weekly *") or /regex/flags')
+    .option('--pages-file <path>', 'Only the page IDs listed in this file (one per line, or a JSON array)');
+}
+
+function getScopeOptions(options) {
+  return {
+    databaseId: options.database,
+    parentPageId: options.parent,
+    editedAfter: options.editedAfter,
+    editedBefore: options.editedBefore,
+    titlePattern: options.title,
+    pageIdsFile: options.pagesFile
+  };
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new InvalidArgumentError('Expected a date such as 2026-01-31 or 2026-01-31T12:00:00Z.');
+  }
+  return date;
+}
+
+function parseInteger(value) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed < 0) {
+    throw new InvalidArgumentError('Expected a non-negative integer.');
+  }
+  return parsed;
+}
+
+function validateSearchPattern(searchText, matchOptions) {
+  try {
+    buildSearchPattern(searchText, matchOptions);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    rl.close();
+    process.exit(1);
+  }
+}
+
+for (const name of ['replace', 'dry-run', 'convert', 'convert-checkboxes', 'convert-quotes', 'retarget-mentions', 'lint']) {
+  addScopeOptions(program.commands.find(command => command.name() === name));
+}
+
+for (const name of ['convert', 'convert-checkboxes', 'convert-quotes']) {
+  program.commands.find(command => command.name() === name)
+    .option('--report <file>', 'Save a per-page JSON report of converted, failed and skipped blocks');
 }
 
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Requests stay within Notion's rate limit whatever the concurrency; more
+// pages at once only helps while others wait on slow responses
+for (const name of ['replace', 'convert', 'convert-checkboxes', 'convert-quotes', 'retarget-mentions', 'lint']) {
+  program.commands.find(command => command.name() === name)
+    .option('--concurrency <n>', `Pages to process at once (default ${DEFAULT_CONCURRENCY})`, parseInteger);
 }
 
 program.parse();
\ No newline at end of file
@@ -1,4 +1,167 @@
-export async function convertBlockType(notion, blockId, fromType, toType, preserveContent = true) {
+import fs from 'fs';
+import ora from 'ora';
+import chalk from 'chalk';
+import { buildConvertedContent, isWritableBlockType, toAppendableBlock } from './block-update.js';
+import { getPageTitle } from './page-fetcher.js';
+import { getScopedPages, hasScope } from './scope.js';
+import { createJournal } from './journal.js';
+import { runWithConcurrency } from './worker-pool.js';
+
+// Text blocks that can be turned into one another. They all carry rich_text,
+// so the text itself always survives; what can be lost is listed by
+// getConversionLosses.
+export const CONVERTIBLE_BLOCK_TYPES = [
+  'paragraph',
+  'heading_1',
+  'heading_2',
+  'heading_3',
+  'bulleted_list_item',
+  'numbered_list_item',
+  'to_do',
+  'toggle',
+  'quote',
+  'callout',
+  'code'
+];
+
+export const DEFAULT_CALLOUT_ICON = { type: 'emoji', emoji: '💡' };
+export const DEFAULT_CODE_LANGUAGE = 'plain text';
+
+const HEADING_TYPES = ['heading_1', 'heading_2', 'heading_3'];
+
+// Fields a new block of each type needs that the source may not have
+function getTargetDefaults(block, toType) {
+  if (toType === 'to_do') {
+    return { checked: false };
+  }
+  
+  if (toType === 'callout') {
+    return { icon: DEFAULT_CALLOUT_ICON };
+  }
+  
+  if (toType === 'code') {
+    return { language: DEFAULT_CODE_LANGUAGE };
+  }
+  
+  // A heading only shows children when it is toggleable
+  if (HEADING_TYPES.includes(toType) && (block.type === 'toggle' || block.has_children)) {
+    return { is_toggleable: true };
+  }
+  
+  return {};
+}
+
+// Whether a block can be created again from its content. Hosted files have
+// signed URLs that cannot be sent back, and tables, columns, child pages and
+// the like have no writable content.
+export function canRecreateBlock(block) {
+  return isWritableBlockType(block.type) && block[block.type]?.type !== 'file';
+}
+
+// What converting `block` to `toType` would drop, as short descriptions.
+// An empty list means the conversion is lossless as far as `block` and its
+// fetched `children` tree (see fetchBlockTree) show.
+export function getConversionLosses(block, toType, children = []) {
+  const content = block[block.type] || {};
+  const losses = [];
+  
+  if (block.type === 'to_do' && toType !== 'to_do' && content.checked) {
+    losses.push('checked state');
+  }
+  
+  if (block.type === 'callout' && toType !== 'callout' && content.icon) {
+    losses.push('callout icon');
+  }
+  
+  if (block.type === 'code' && toType !== 'code') {
+    if (content.language && content.language !== DEFAULT_CODE_LANGUAGE) {
+      losses.push(`code language (${content.language})`);
+    }
+    if (content.caption?.length) {
+      losses.push('caption');
+    }
+  }
+  
+  // Code blocks have no color
+  if (toType === 'code' && content.color && content.color !== 'default') {
+    losses.push(`color (${content.color})`);
+  }
+  
+  return [...losses, ...getNestedBlockLosses(block, toType, children)];
+}
+
+// The nested blocks a conversion would drop: all of them under a code block,
+// which cannot hold other blocks, otherwise those that cannot be re-created.
+// Unlike other losses these are never forced through.
+export function getNestedBlockLosses(block, toType, children = []) {
+  if (toType === 'code') {
+    return block.has_children ? ['nested blocks'] : [];
+  }
+  
+  const lost = new Set();
+  walkBlockTree(children, child => {
+    if (canRecreateBlock(child)) return true;
+    lost.add(child.type);
+    return false;
+  });
+  return [...lost].map(type => `nested ${type} blocks`);
+}
+
+// Surrounds rich text with quotation marks, keeping its formatting
+export function wrapInQuotes(richText = []) {
+  const mark = { type: 'text', text: { content: '"' }, plain_text: '"' };
+  return [mark, ...richText, mark];
+}
+
+// Works out the block that replaces `block` as `toType`. Returns
+// { block } when the conversion can go ahead, or { error, losses } when it
+// is unsupported, would drop nested blocks, or would lose data that neither
+// `force` nor `acceptLosses` (e.g. ['checked state']) allows. `overrides`
+// replaces any field of the new content, e.g. { language: 'javascript' },
+// and `wrapQuotes` puts the text in quotation marks.
+export function planBlockConversion(block, toType, options = {}) {
+  const { force = false, acceptLosses = [], overrides = {}, wrapQuotes = false, children = [] } = options;
+  
+  if (!CONVERTIBLE_BLOCK_TYPES.includes(block.type) || !CONVERTIBLE_BLOCK_TYPES.includes(toType)) {
+    return {
+      error: `Conversion from ${block.type} to ${toType} is not supported`,
+      losses: []
+    };
+  }
+  
+  if (block.type === toType) {
+    return { error: `Block is already of type ${toType}`, losses: [] };
+  }
+  
+  const losses = getConversionLosses(block, toType, children);
+  const nestedLosses = getNestedBlockLosses(block, toType, children);
+  
+  if (nestedLosses.length > 0) {
+    return {
+      error: `Converting ${block.type} to ${toType} would drop ${nestedLosses.join(', ')}; move them out of the block first`,
+      losses
+    };
+  }
+  
+  const refused = force ? [] : losses.filter(loss => !acceptLosses.includes(loss));
+  
+  if (refused.length > 0) {
+    return {
+      error: `Converting ${block.type} to ${toType} would lose ${refused.join(', ')}; use force to convert anyway`,
+      losses
+    };
+  }
+  
+  const content = buildConvertedContent(block, toType, {
+    ...getTargetDefaults(block, toType),
+    ...(wrapQuotes && { rich_text: wrapInQuotes(block[block.type].rich_text) }),
+    ...overrides
+  });
+  
+  return { block: { type: toType, [toType]: content }, losses };
+}
+
+export async function convertBlockType(notion, blockId, fromType, toType, options = {}) {
   try {
     // First, get the current block to preserve its content
     const block = await notion.blocks.retrieve({ block_id: blockId });
@@ -7,52 +170,54 @@ export async function convertBlockType(notion, blockId, fromType, toType, preser
       return { success: false, error: `Block is not of type ${fromType}` };
     }
     
-    const updateData = {};
+    // The API cannot change a block's type, so the converted block is
+    // created right after the original, which is then deleted. Its children
+    // are copied over first, as deleting the original deletes them too.
+    const children = block.has_children ? await fetchBlockTree(notion, blockId) : [];
+    const plan = planBlockConversion(block, toType, { ...options, children });
     
-    // Handle conversion from to_do to bulleted_list_item
-    if (fromType === 'to_do' && toType === 'bulleted_list_item') {
-      updateData.bulleted_list_item = {
-        rich_text: block.to_do.rich_text,
-        color: block.to_do.color || 'default'
-      };
-    }
-    // Handle conversion from bulleted_list_item to to_do
-    else if (fromType === 'bulleted_list_item' && toType === 'to_do') {
-      updateData.to_do = {
-        rich_text: block.bulleted_list_item.rich_text,
-        checked: false,
-        color: block.bulleted_list_item.color || 'default'
-      };
+    if (plan.error) {
+      return { success: false, error: plan.error, losses: plan.losses, blockId };
     }
-    // Handle conversion from numbered_list_item to bulleted_list_item
-    else if (fromType === 'numbered_list_item' && toType === 'bulleted_list_item') {
-      updateData.bulleted_list_item = {
-        rich_text: block.numbered_list_item.rich_text,
-        color: block.numbered_list_item.color || 'default'
-      };
+    
+    const parentId = block.parent?.page_id || block.parent?.block_id;
+    const appendResponse = await notion.blocks.children.append({
+      block_id: parentId,
+      children: [plan.block],
+      after: blockId
+    });
+    const newBlock = appendResponse.results[0];
+    
+    // Journaled straight away, so undo can remove the new block whatever
+    // happens next
+    options.journal?.recordBlockCreate(newBlock.id, parentId, newBlock);
+    
+    let failure = null;
+    
+    if (toType !== 'code' && children.length > 0) {
+      failure = await copyChildren(notion, children, newBlock.id);
     }
-    // Handle conversion from bulleted_list_item to numbered_list_item
-    else if (fromType === 'bulleted_list_item' && toType === 'numbered_list_item') {
-      updateData.numbered_list_item = {
-        rich_text: block.bulleted_list_item.rich_text,
-        color: block.bulleted_list_item.color || 'default'
-      };
+    
+    if (!failure) {
+      try {
+        await notion.blocks.delete({ block_id: blockId });
+      } catch (deleteError) {
+        failure = `Deleting the original block failed: ${deleteError.message}`;
+      }
     }
-    // Add more conversion types as needed
-    else {
-      return { 
-        success: false, 
-        error: `Conversion from ${fromType} to ${toType} is not supported` 
-      };
+    
+    if (failure) {
+      try {
+        await notion.blocks.delete({ block_id: newBlock.id });
+      } catch (cleanupError) {
+        failure += `; removing the new block ${newBlock.id} failed too (${cleanupError.message})`;
+      }
+      return { success: false, error: `${failure}; the original block was kept`, blockId };
     }
     
-    // Update the block with the new type
-    await notion.blocks.update({
-      block_id: blockId,
-      ...updateData
-    });
+    options.journal?.recordBlockDelete({ ...block, children }, parentId, newBlock.id);
     
-    return { success: true, blockId };
+    return { success: true, blockId, newBlockId: newBlock.id, losses: plan.losses };
     
   } catch (error) {
     return { 
@@ -64,7 +229,7 @@ export async function convertBlockType(notion, blockId, fromType, toType, preser
 }
 
 export async function batchConvertBlocks(notion, blocks, fromType, toType, options = {}) {
-  const { dryRun = false, onProgress = null } = options;
+  const { dryRun = false, onProgress = null, ...conversionOptions } = options;
   
   const results = {
     total: blocks.length,
@@ -81,21 +246,30 @@ export async function batchConvertBlocks(notion, blocks, fromType, toType, optio
     }
     
     if (block.type === fromType) {
-      if (!dryRun) {
-        const result = await convertBlockType(notion, block.id, fromType, toType);
-        
-        if (result.success) {
-          results.converted++;
-        } else {
-          results.failed++;
-          results.errors.push({
-            blockId: block.id,
-            error: result.error
-          });
+      let result;
+      
+      if (dryRun) {
+        // In dry run mode, just check what would be converted; the child
+        // tree is needed to spot nested blocks that cannot be copied
+        try {
+          const children = block.has_children ? await fetchBlockTree(notion, block.id) : [];
+          const plan = planBlockConversion(block, toType, { ...conversionOptions, children });
+          result = { success: !plan.error, error: plan.error };
+        } catch (error) {
+          result = { success: false, error: error.message };
         }
       } else {
-        // In dry run mode, just count what would be converted
+        result = await convertBlockType(notion, block.id, fromType, toType, conversionOptions);
+      }
+      
+      if (result.success) {
         results.converted++;
+      } else {
+        results.failed++;
+        results.errors.push({
+          blockId: block.id,
+          error: result.error
+        });
       }
     }
   }
@@ -103,27 +277,55 @@ export async function batchConvertBlocks(notion, blocks, fromType, toType, optio
   return results;
 }
 
-export async function findBlocksOfType(notion, pageId, blockType, recursive = true) {
+// Block types the API lists but cannot read or write
+const UNSUPPORTED_BLOCK_TYPES = ['unsupported', 'ai_block'];
+
+// Listing the children of a block fails when they include an AI block
+function isUnsupportedBlockError(error) {
+  return error.message?.includes('ai_block') || error.message?.includes('not supported');
+}
+
+// Nested matches come before the block containing them, so converting in
+// this order carries already converted children into the copy of the parent.
+// Unsupported blocks, and blocks whose children cannot be listed because of
+// them, are passed to options.onSkip({ blockId, type, reason }) and skipped.
+export async function findBlocksOfType(notion, pageId, blockType, recursive = true, options = {}) {
+  const { onSkip = null } = options;
   const blocks = [];
   
-  async function searchBlocks(parentId) {
+  async function searchBlocks(parentId, parentType) {
     let hasMore = true;
     let cursor = undefined;
     
     while (hasMore) {
-      const response = await notion.blocks.children.list({
-        block_id: parentId,
-        start_cursor: cursor,
-        page_size: 100
-      });
+      let response;
+      try {
+        response = await notion.blocks.children.list({
+          block_id: parentId,
+          start_cursor: cursor,
+          page_size: 100
+        });
+      } catch (error) {
+        if (onSkip && isUnsupportedBlockError(error)) {
+          onSkip({ blockId: parentId, type: parentType, reason: error.message });
+          return;
+        }
+        throw error;
+      }
       
       for (const block of response.results) {
-        if (block.type === blockType) {
-          blocks.push(block);
+        if (UNSUPPORTED_BLOCK_TYPES.includes(block.type)) {
+          onSkip?.({ blockId: block.id, type: block.type, reason: 'Block type is not supported by the API' });
+          continue;
         }
         
-        if (recursive && block.has_children) {
-          await searchBlocks(block.id);
+        // Child pages and databases are pages of their own
+        if (recursive && block.has_children && block.type !== 'child_page' && block.type !== 'child_database') {
+          await searchBlocks(block.id, block.type);
+        }
+        
+        if (block.type === blockType) {
+          blocks.push(block);
         }
       }
       
@@ -132,6 +334,233 @@ export async function findBlocksOfType(notion, pageId, blockType, recursive = tr
     }
   }
   
-  await searchBlocks(pageId);
+  await searchBlocks(pageId, 'page');
   return blocks;
-}
\ No newline at end of file
+}
+
+// The children of a block, each with its own `children` array, in order.
+// Child pages and databases are not descended into.
+export async function fetchBlockTree(notion, blockId) {
+  const blocks = [];
+  let cursor = undefined;
+  
+  do {
+    const response = await notion.blocks.children.list({
+      block_id: blockId,
+      start_cursor: cursor,
+      page_size: 100
+    });
+    blocks.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+  
+  for (const block of blocks) {
+    if (block.has_children && block.type !== 'child_page' && block.type !== 'child_database') {
+      block.children = await fetchBlockTree(notion, block.id);
+    }
+  }
+  
+  return blocks;
+}
+
+// Calls visit(block) depth-first; returning false skips the block's children
+export function walkBlockTree(blocks, visit) {
+  for (const block of blocks) {
+    if (visit(block) !== false && block.children) {
+      walkBlockTree(block.children, visit);
+    }
+  }
+}
+
+// Re-creates a block tree under parentId in order, leaving out blocks that
+// cannot be re-created (and their children). Returns the number created;
+// idMap, when given, is filled with each block's old ID → new ID.
+export async function appendBlockTree(notion, parentId, blocks, idMap = null) {
+  const recreatable = blocks.filter(canRecreateBlock);
+  let created = 0;
+  
+  for (let i = 0; i < recreatable.length; i += 100) {
+    const batch = recreatable.slice(i, i + 100);
+    const response = await notion.blocks.children.append({
+      block_id: parentId,
+      children: batch.map(toAppendableBlock)
+    });
+    created += batch.length;
+    
+    for (let j = 0; j < batch.length; j++) {
+      idMap?.set(batch[j].id, response.results[j].id);
+      if (batch[j].children?.length) {
+        created += await appendBlockTree(notion, response.results[j].id, batch[j].children, idMap);
+      }
+    }
+  }
+  
+  return created;
+}
+
+// Copies a fetched child tree under the converted block and checks that
+// every block arrived. Returns an error message, or null on success.
+async function copyChildren(notion, children, newBlockId) {
+  let expected = 0;
+  walkBlockTree(children, child => {
+    if (!canRecreateBlock(child)) return false;
+    expected++;
+  });
+  
+  try {
+    await appendBlockTree(notion, newBlockId, children);
+  } catch (error) {
+    return `Copying nested blocks failed: ${error.message}`;
+  }
+  
+  let copied = 0;
+  walkBlockTree(await fetchBlockTree(notion, newBlockId), () => {
+    copied++;
+  });
+  
+  return copied === expected ? null : `Copied ${copied} of ${expected} nested blocks`;
+}
+
+// Converts every `fromType` block in the pages in scope to `toType`. Takes
+// the planBlockConversion options plus dryRun, scope, concurrency, recursive
+// the journal or journal operation name, and reportFile to save the results
+// as JSON. Each conversion is journaled so the run can be undone.
+export async function convertWorkspaceBlocks(notion, fromType, toType, options = {}) {
+  const {
+    dryRun = false,
+    scope,
+    concurrency,
+    recursive = true,
+    operation = 'convert',
+    journal: existingJournal,
+    reportFile,
+    ...conversionOptions
+  } = options;
+  
+  const spinner = ora('Fetching all pages from workspace...').start();
+  let pages;
+  
+  try {
+    pages = await getScopedPages(notion, scope);
+    spinner.succeed(`Found ${pages.length} pages in ${hasScope(scope) ? 'scope' : 'workspace'}`);
+  } catch (error) {
+    spinner.fail('Failed to fetch pages');
+    throw error;
+  }
+  
+  const journal = dryRun ? null : (existingJournal || createJournal(operation, { fromType, toType }));
+  let processedPages = 0;
+  
+  const pageResults = await runWithConcurrency(pages, concurrency, async (page) => {
+    processedPages++;
+    const pageTitle = getPageTitle(page);
+    
+    process.stdout.write(chalk.gray(`\rProcessing page ${processedPages}/${pages.length}: ${pageTitle.substring(0, 50)}...`));
+    
+    const skipped = [];
+    
+    try {
+      const blocks = await findBlocksOfType(notion, page.id, fromType, recursive, {
+        onSkip: (block) => skipped.push(block)
+      });
+      const result = await batchConvertBlocks(notion, blocks, fromType, toType, {
+        ...conversionOptions,
+        dryRun,
+        journal
+      });
+      
+      return {
+        id: page.id,
+        title: pageTitle,
+        ...result,
+        skipped,
+        errors: result.errors.map(error => ({ pageId: page.id, pageTitle, ...error }))
+      };
+    } catch (error) {
+      return {
+        id: page.id,
+        title: pageTitle,
+        total: 0,
+        converted: 0,
+        failed: 0,
+        skipped,
+        errors: [{ pageId: page.id, pageTitle, error: error.message }]
+      };
+    }
+  });
+  
+  // Clear the processing line
+  process.stdout.write('\r' + ' '.repeat(100) + '\r');
+  
+  const results = {
+    runId: journal?.runId,
+    fromType,
+    toType,
+    dryRun,
+    totalPages: pages.length,
+    pages: pageResults.filter(page => page.total > 0 || page.skipped.length > 0 || page.errors.length > 0),
+    totalBlocks: pageResults.reduce((sum, page) => sum + page.total, 0),
+    converted: pageResults.reduce((sum, page) => sum + page.converted, 0),
+    failed: pageResults.reduce((sum, page) => sum + page.failed, 0),
+    skipped: pageResults.reduce((sum, page) => sum + page.skipped.length, 0),
+    errors: pageResults.flatMap(page => page.errors)
+  };
+  
+  if (reportFile) {
+    fs.writeFileSync(reportFile, JSON.stringify({ generatedAt: new Date().toISOString(), ...results }, null, 2));
+    console.log(chalk.gray(`[LOG] Wrote conversion report to ${reportFile}`));
+  }
+  
+  return results;
+}
+
+export function printConversionSummary(results, label = `${results.fromType} blocks`) {
+  const pagesWithBlocks = results.pages.filter(page => page.total > 0);
+  
+  console.log(chalk.green(`\n✅ ${results.dryRun ? 'Dry run' : 'Conversion'} complete!\n`));
+  console.log(chalk.cyan('📊 Summary:'));
+  console.log(`  • Total pages processed: ${results.totalPages}`);
+  console.log(`  • Pages with ${label}: ${pagesWithBlocks.length}`);
+  console.log(`  • Total ${label} found: ${results.totalBlocks}`);
+  
+  if (results.dryRun) {
+    console.log(chalk.yellow(`  • Would be converted to ${results.toType}: ${results.converted}`));
+  } else {
+    console.log(chalk.green(`  • Converted to ${results.toType}: ${results.converted}`));
+  }
+  
+  if (results.skipped > 0) {
+    console.log(chalk.yellow(`  • Unsupported blocks skipped: ${results.skipped}`));
+  }
+  
+  if (results.errors.length > 0) {
+    console.log(chalk.red(`  • Errors encountered: ${results.errors.length}`));
+    console.log(chalk.red('\n❌ Errors:'));
+    results.errors.forEach(err => {
+      console.log(`  • Page "${err.pageTitle}"${err.blockId ? ` (block ${err.blockId})` : ''}: ${err.error}`);
+    });
+  }
+  
+  const pagesWithSkips = results.pages.filter(page => page.skipped.length > 0);
+  if (pagesWithSkips.length > 0) {
+    console.log(chalk.yellow('\n⏭️  Skipped (not readable through the API):'));
+    pagesWithSkips.forEach(page => {
+      const blocks = page.skipped.map(block => `${block.type} ${block.blockId}`).join(', ');
+      console.log(`  • ${page.title}: ${blocks}`);
+    });
+  }
+  
+  if (pagesWithBlocks.length > 0 && results.dryRun) {
+    console.log(chalk.cyan(`\n📝 Pages with ${label}:`));
+    pagesWithBlocks.slice(0, 10).forEach(page => {
+      console.log(`  • ${page.title} (${page.total} found)`);
+    });
+    if (pagesWithBlocks.length > 10) {
+      console.log(chalk.gray(`  ... and ${pagesWithBlocks.length - 10} more pages`));
+    }
+  }
+  
+  if (results.runId) {
+    console.log(chalk.gray(`\n↩️  To roll back this run: npm start undo ${results.runId}`));
+  }
+}
@@ -0,0 +1,101 @@
+// Notion replaces a block's whole content object on update, so any field
+// left out of the payload (color, icon, checked, ...) is reset. These are the
+// fields integrations may write for each block type; everything else in an
+// API response (plain_text, expiry_time, ...) is read-only.
+export const WRITABLE_BLOCK_FIELDS = {
+  paragraph: ['rich_text', 'color'],
+  heading_1: ['rich_text', 'color', 'is_toggleable'],
+  heading_2: ['rich_text', 'color', 'is_toggleable'],
+  heading_3: ['rich_text', 'color', 'is_toggleable'],
+  bulleted_list_item: ['rich_text', 'color'],
+  numbered_list_item: ['rich_text', 'color'],
+  toggle: ['rich_text', 'color'],
+  quote: ['rich_text', 'color'],
+  callout: ['rich_text', 'color', 'icon'],
+  to_do: ['rich_text', 'checked', 'color'],
+  code: ['rich_text', 'caption', 'language'],
+  table_row: ['cells'],
+  bookmark: ['url', 'caption'],
+  embed: ['url', 'caption'],
+  equation: ['expression'],
+  image: ['caption', 'external'],
+  video: ['caption', 'external'],
+  file: ['caption', 'external', 'name'],
+  pdf: ['caption', 'external'],
+  audio: ['caption', 'external'],
+  divider: [],
+  table_of_contents: ['color'],
+  breadcrumb: []
+};
+
+export function isWritableBlockType(type) {
+  return Object.prototype.hasOwnProperty.call(WRITABLE_BLOCK_FIELDS, type);
+}
+
+// The writable part of a block's content, ready to be sent back unchanged
+export function getWritableContent(type, content = {}) {
+  const writable = {};
+
+  for (const key of WRITABLE_BLOCK_FIELDS[type] || []) {
+    if (content[key] === undefined) continue;
+
+    // Notion-hosted icons and files are signed URLs that cannot be sent
+    // back; leaving them out keeps what the block already has
+    if (key === 'icon' && content.icon?.type === 'file') continue;
+
+    writable[key] = content[key];
+  }
+
+  // Media blocks only accept a URL when the file is hosted elsewhere
+  if (WRITABLE_BLOCK_FIELDS[type]?.includes('external') && content.type === 'external') {
+    writable.external = { url: content.external.url };
+  }
+
+  return writable;
+}
+
+// Builds the blocks.update payload for a block with some fields changed,
+// round-tripping every other writable field. `url` on a media block is
+// written to its external URL.
+export function buildBlockUpdate(block, changes = {}) {
+  const type = block.type;
+
+  if (!isWritableBlockType(type)) {
+    return {};
+  }
+
+  const { url, ...rest } = changes;
+  const urlChange = url === undefined ? {} :
+    WRITABLE_BLOCK_FIELDS[type].includes('url') ? { url } :
+    { external: { url } };
+
+  return {
+    [type]: {
+      ...getWritableContent(type, block[type]),
+      ...rest,
+      ...urlChange
+    }
+  };
+}
+
+// Content for a new block of another type made from an existing one: the
+// fields both types share (rich_text, color, ...) are carried over, and
+// `overrides` fills in or replaces the rest.
+export function buildConvertedContent(block, toType, overrides = {}) {
+  const source = getWritableContent(block.type, block[block.type]);
+  const targetFields = WRITABLE_BLOCK_FIELDS[toType] || [];
+
+  return {
+    ...Object.fromEntries(Object.entries(source).filter(([key]) => targetFields.includes(key))),
+    ...overrides
+  };
+}
+
+// A block as it can be passed to blocks.children.append, e.g. to re-create a
+// deleted one from its journaled snapshot
+export function toAppendableBlock(block) {
+  return {
+    type: block.type,
+    [block.type]: getWritableContent(block.type, block[block.type])
+  };
+}
@@ -0,0 +1,251 @@
+import ora from 'ora';
+import chalk from 'chalk';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { getPageContent, getPageTitle } from './page-fetcher.js';
+import { getScopedPages, hasScope } from './scope.js';
+import { getBlockUrl } from './preview.js';
+import { runWithConcurrency } from './worker-pool.js';
+import { DEFAULT_RULES } from './lint-rules/index.js';
+
+export const SEVERITIES = ['error', 'warning'];
+export const DEFAULT_PUBLISHED_STATUSES = ['Published', 'Live'];
+
+// Picks rules by ID: `only` keeps just those, `disable` drops them
+export function selectRules(rules = DEFAULT_RULES, { only, disable } = {}) {
+  const known = new Set(rules.map(rule => rule.id));
+  const unknown = [...(only || []), ...(disable || [])].filter(id => !known.has(id));
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown lint rule(s): ${unknown.join(', ')} (available: ${[...known].join(', ')})`);
+  }
+
+  return rules.filter(rule => (!only || only.includes(rule.id)) && !(disable || []).includes(rule.id));
+}
+
+// Loads extra rules from modules; every exported rule object (or array of
+// them) is used
+export async function loadRuleModules(files = []) {
+  const rules = [];
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.resolve(file)).href);
+    const exported = Object.values(module).flatMap(value => Array.isArray(value) ? value : [value]);
+    const found = exported.filter(value => typeof value?.id === 'string' && typeof value.check === 'function');
+
+    if (found.length === 0) {
+      throw new Error(`${file} exports no lint rules (objects with an id and a check function)`);
+    }
+    rules.push(...found);
+  }
+
+  return rules;
+}
+
+// A post counts as published when a status or select property is set to one
+// of `statuses`, or a checkbox property named "Published" is ticked
+export function isPublishedPage(page, statuses = DEFAULT_PUBLISHED_STATUSES) {
+  return Object.entries(page.properties || {}).some(([name, property]) => {
+    if (property.type === 'status' || property.type === 'select') {
+      return statuses.includes(property[property.type]?.name);
+    }
+    return property.type === 'checkbox' && name.toLowerCase() === 'published' && property.checkbox;
+  });
+}
+
+// Nests a page's blocks, listed in document order, under their parents
+export function buildBlockTree(flatBlocks) {
+  const nodes = new Map(flatBlocks.map(block => [block.id, { ...block, children: [] }]));
+  const tree = [];
+
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parent?.block_id);
+    (parent ? parent.children : tree).push(node);
+  }
+
+  return tree;
+}
+
+// Runs the rules over one page. Each rule's check() gets a context with:
+//   page, title     the page and its title
+//   blocks          the block tree (each block has a children array)
+//   flatBlocks      every block in document order
+//   published       whether the page is a published post (isPublishedPage)
+//   options         the options passed in, e.g. maxParagraphLength
+export function lintPage(page, flatBlocks, rules = DEFAULT_RULES, options = {}) {
+  const title = getPageTitle(page);
+  const context = {
+    page,
+    title,
+    blocks: buildBlockTree(flatBlocks),
+    flatBlocks,
+    published: isPublishedPage(page, options.publishedStatuses),
+    options
+  };
+  const issues = [];
+
+  for (const rule of rules) {
+    for (const issue of rule.check(context) || []) {
+      issues.push({
+        rule: rule.id,
+        severity: issue.severity || rule.severity || 'warning',
+        message: issue.message,
+        ...(issue.blockId && {
+          blockId: issue.blockId,
+          blockUrl: getBlockUrl(page, { id: issue.blockId })
+        })
+      });
+    }
+  }
+
+  return { id: page.id, title, url: page.url, published: context.published, issues };
+}
+
+// Lints every page in scope. Options: rules, scope, concurrency, plus the
+// lintPage options. Pages that cannot be fetched are listed under errors.
+export async function lintWorkspace(notion, options = {}) {
+  const { rules = DEFAULT_RULES, scope, concurrency } = options;
+  const spinner = ora('Fetching all pages from workspace...').start();
+  let pages;
+
+  try {
+    pages = await getScopedPages(notion, scope);
+    spinner.succeed(`Found ${pages.length} pages in ${hasScope(scope) ? 'scope' : 'workspace'}`);
+  } catch (error) {
+    spinner.fail('Failed to fetch pages');
+    throw error;
+  }
+
+  const errors = [];
+  let checkedPages = 0;
+
+  const results = await runWithConcurrency(pages, concurrency, async (page) => {
+    console.log(chalk.gray(`[LOG] Linting page ${++checkedPages}/${pages.length}: ${getPageTitle(page)}`));
+
+    try {
+      const blocks = await getPageContent(notion, page.id, { recursive: true });
+      return lintPage(page, blocks, rules, options);
+    } catch (error) {
+      errors.push({ pageId: page.id, pageTitle: getPageTitle(page), error: error.message });
+      return null;
+    }
+  });
+
+  const linted = results.filter(Boolean);
+  const issues = linted.flatMap(page => page.issues);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    rules: rules.map(({ id, description, severity }) => ({ id, description, severity })),
+    totalPages: pages.length,
+    pages: linted,
+    counts: Object.fromEntries(SEVERITIES.map(severity => [
+      severity,
+      issues.filter(issue => issue.severity === severity).length
+    ])),
+    errors
+  };
+}
+
+export function renderLintJson(results) {
+  return JSON.stringify(results, null, 2);
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// One test suite per page and one test case per rule, failing with the
+// rule's issues; pages that could not be fetched are reported as errors
+export function renderLintJUnit(results) {
+  const lines = [];
+  const suites = [];
+  let totalFailures = 0;
+
+  for (const page of results.pages) {
+    const cases = results.rules.map(rule => {
+      const issues = page.issues.filter(issue => issue.rule === rule.id);
+      const name = escapeXml(rule.id);
+      const classname = escapeXml(`content-lint.${page.title}`);
+
+      if (issues.length === 0) {
+        return `    <testcase name="${name}" classname="${classname}"/>`;
+      }
+
+      const details = issues.map(issue => `${issue.message}${issue.blockUrl ? ` (${issue.blockUrl})` : ''}`).join('\n');
+      return [
+        `    <testcase name="${name}" classname="${classname}">`,
+        `      <failure type="${escapeXml(issues[0].severity)}" message="${escapeXml(`${issues.length} issue(s): ${issues[0].message}`)}">${escapeXml(details)}</failure>`,
+        '    </testcase>'
+      ].join('\n');
+    });
+    const failures = cases.filter(testCase => testCase.includes('<failure')).length;
+    totalFailures += failures;
+
+    suites.push([
+      `  <testsuite name="${escapeXml(page.title)}" id="${escapeXml(page.id)}" tests="${cases.length}" failures="${failures}" errors="0">`,
+      ...cases,
+      '  </testsuite>'
+    ].join('\n'));
+  }
+
+  for (const error of results.errors) {
+    suites.push([
+      `  <testsuite name="${escapeXml(error.pageTitle)}" id="${escapeXml(error.pageId)}" tests="1" failures="0" errors="1">`,
+      `    <testcase name="fetch" classname="${escapeXml(`content-lint.${error.pageTitle}`)}">`,
+      `      <error message="${escapeXml(error.error)}"/>`,
+      '    </testcase>',
+      '  </testsuite>'
+    ].join('\n'));
+  }
+
+  const tests = results.pages.length * results.rules.length + results.errors.length;
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push(`<testsuites name="content-lint" tests="${tests}" failures="${totalFailures}" errors="${results.errors.length}">`);
+  lines.push(...suites);
+  lines.push('</testsuites>');
+
+  return lines.join('\n') + '\n';
+}
+
+export function printLintReport(results) {
+  const pagesWithIssues = results.pages.filter(page => page.issues.length > 0);
+
+  console.log('\n' + chalk.bold('=== Content Lint Report ==='));
+
+  pagesWithIssues.forEach(page => {
+    console.log(chalk.white(`\n📄 ${page.title}`) + chalk.gray(page.url ? `  ${page.url}` : ''));
+    page.issues.forEach(issue => {
+      const color = issue.severity === 'error' ? chalk.red : chalk.yellow;
+      console.log(color(`  ${issue.severity === 'error' ? '✗' : '⚠'} [${issue.rule}] ${issue.message}`));
+      if (issue.blockUrl) {
+        console.log(chalk.gray(`      ${issue.blockUrl}`));
+      }
+    });
+  });
+
+  console.log('\n' + chalk.bold('Summary:'));
+  console.log(chalk.blue(`  • Pages checked: ${results.pages.length} of ${results.totalPages}`));
+  console.log(chalk.green(`  • Clean pages: ${results.pages.length - pagesWithIssues.length}`));
+  console.log(chalk.red(`  • Errors: ${results.counts.error}`));
+  console.log(chalk.yellow(`  • Warnings: ${results.counts.warning}`));
+
+  results.rules.forEach(rule => {
+    const count = results.pages.reduce((sum, page) => sum + page.issues.filter(issue => issue.rule === rule.id).length, 0);
+    if (count > 0) {
+      console.log(chalk.gray(`    ${rule.id}: ${count}`));
+    }
+  });
+
+  if (results.errors.length > 0) {
+    console.log(chalk.red(`\n⚠️  Pages that could not be checked: ${results.errors.length}`));
+    results.errors.forEach(error => {
+      console.log(chalk.red(`  • ${error.pageTitle}: ${error.error}`));
+    });
+  }
+}
@@ -0,0 +1,454 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { APIResponseError } from '@notionhq/client';
+
+// An in-process stand-in for the parts of @notionhq/client the tools use, so
+// they can run without a workspace. A workspace fixture looks like:
+//
+//   {
+//     "pages":     [{ "id": "...", "properties": { ... }, "children": [blocks] }],
+//     "databases": [{ "id": "...", "title": [...], "pages": [pages] }],
+//     "blocks":    { "<parent id>": [blocks] }
+//   }
+//
+// Blocks may nest their own "children"; has_children, parent and the
+// timestamps are filled in, so fixtures only need id, type and content.
+// Like the real API, blocks.update replaces a block's content object, so
+// writable fields left out of an update fall back to their defaults.
+//
+// Helpers for tests sit next to the API namespaces:
+//   failNext(method, error, times)  the next calls to method ('blocks.update',
+//                                   or '*' for any) throw; error is an
+//                                   APIResponseError, a status (429, 500...)
+//                                   or { status, code, message, retryAfter }
+//   calls                           every API call as { method, args }
+//   getBlock(id), getChildren(id), getPage(id)
+export function createFakeNotionClient(workspace = {}, options = {}) {
+  // Pages and databases share IDs with their child_page/child_database
+  // blocks, as in Notion, so blocks are stored apart from them
+  const entities = new Map();
+  const blocks = new Map();
+  const children = new Map();
+  const failures = [];
+  const calls = [];
+  const now = options.now || (() => new Date().toISOString());
+
+  function register(object, parent) {
+    const id = object.id || crypto.randomUUID();
+    const { children: nested, pages: rows, ...rest } = object;
+    const stored = {
+      created_time: now(),
+      last_edited_time: now(),
+      archived: false,
+      in_trash: false,
+      ...rest,
+      id,
+      ...(parent && { parent })
+    };
+
+    if (stored.object === 'block' || (!stored.object && stored.type)) {
+      stored.object = 'block';
+      stored[stored.type] = normalizeContent(stored.type, stored[stored.type] || {});
+      blocks.set(id, stored);
+    } else {
+      entities.set(id, stored);
+    }
+
+    if (!children.has(id)) children.set(id, []);
+
+    for (const child of nested || []) {
+      const childId = register(child, parentOf(stored));
+      children.get(id).push(childId);
+    }
+    for (const row of rows || []) {
+      register({ object: 'page', ...row }, { type: 'database_id', database_id: id });
+    }
+
+    return id;
+  }
+
+  function parentOf(object) {
+    if (object.object === 'page') return { type: 'page_id', page_id: object.id };
+    if (object.object === 'database') return { type: 'database_id', database_id: object.id };
+    return { type: 'block_id', block_id: object.id };
+  }
+
+  for (const database of workspace.databases || []) {
+    register({ object: 'database', parent: { type: 'workspace', workspace: true }, ...database });
+  }
+  for (const page of workspace.pages || []) {
+    register({ object: 'page', parent: { type: 'workspace', workspace: true }, ...page });
+  }
+  for (const [parentId, list] of Object.entries(workspace.blocks || {})) {
+    if (!children.has(parentId)) children.set(parentId, []);
+    const parent = blocks.get(parentId) || entities.get(parentId) || { object: 'page', id: parentId };
+    for (const block of list) {
+      children.get(parentId).push(register(block, parentOf(parent)));
+    }
+  }
+
+  function view(object) {
+    const copy = structuredClone(object);
+    if (copy.object === 'block') {
+      copy.has_children = listChildIds(contentSource(copy)).length > 0;
+    }
+    return copy;
+  }
+
+  // A synced block reference shows the original's content
+  function contentSource(object) {
+    return object?.synced_block?.synced_from?.block_id || object?.id;
+  }
+
+  function listChildIds(parentId) {
+    return (children.get(parentId) || []).filter(id => !blocks.get(id)?.archived);
+  }
+
+  // Blocks first, then pages and databases; dashes in IDs are optional
+  function lookup(id, kind) {
+    for (const candidate of [id, formatId(id)]) {
+      const object = kind === 'block' ? blocks.get(candidate) :
+                     kind ? entities.get(candidate) :
+                     blocks.get(candidate) || entities.get(candidate);
+      if (object && (!kind || object.object === kind)) return object;
+    }
+    return null;
+  }
+
+  function find(id, kind) {
+    const object = lookup(id, kind);
+    if (!object || object.archived) {
+      throw apiError(404, 'object_not_found', `Could not find ${kind || 'object'} with ID: ${id}.`);
+    }
+    return object;
+  }
+
+  // Wraps each API method to record the call and throw queued failures
+  function method(name, implementation) {
+    return async (args = {}) => {
+      calls.push({ method: name, args: structuredClone(args) });
+
+      const index = failures.findIndex(failure => failure.method === name || failure.method === '*');
+      if (index !== -1) {
+        const failure = failures[index];
+        if (--failure.times <= 0) failures.splice(index, 1);
+        throw failure.error;
+      }
+
+      return implementation(args);
+    };
+  }
+
+  const client = {
+    search: method('search', ({ query, filter, start_cursor, page_size }) => {
+      const results = [...entities.values()].filter(object =>
+        !object.archived &&
+        (!filter || object.object === filter.value) &&
+        (!query || getTitle(object).toLowerCase().includes(query.toLowerCase()))
+      );
+      return paginate(results.map(view), start_cursor, page_size);
+    }),
+
+    databases: {
+      retrieve: method('databases.retrieve', ({ database_id }) => view(find(database_id, 'database'))),
+
+      query: method('databases.query', ({ database_id, filter, start_cursor, page_size }) => {
+        const database = find(database_id, 'database');
+        const results = [...entities.values()].filter(object =>
+          object.object === 'page' &&
+          !object.archived &&
+          object.parent?.database_id === database.id &&
+          matchesFilter(object, filter)
+        );
+        return paginate(results.map(view), start_cursor, page_size);
+      })
+    },
+
+    pages: {
+      retrieve: method('pages.retrieve', ({ page_id }) => view(find(page_id, 'page'))),
+
+      update: method('pages.update', ({ page_id, properties = {}, archived, in_trash }) => {
+        const page = find(page_id, 'page');
+
+        for (const [name, value] of Object.entries(properties)) {
+          const existing = page.properties?.[name];
+          if (!existing) {
+            throw apiError(400, 'validation_error', `${name} is not a property that exists.`);
+          }
+          const type = Object.keys(value).find(key => key !== 'type') || existing.type;
+          page.properties[name] = {
+            id: existing.id,
+            type,
+            [type]: Array.isArray(value[type]) ? value[type].map(normalizeRichTextItem) : value[type]
+          };
+        }
+
+        if (archived !== undefined || in_trash !== undefined) {
+          page.archived = Boolean(archived ?? in_trash);
+          page.in_trash = page.archived;
+        }
+        page.last_edited_time = now();
+        return view(page);
+      })
+    },
+
+    blocks: {
+      retrieve: method('blocks.retrieve', ({ block_id }) => view(find(block_id, 'block'))),
+
+      update: method('blocks.update', ({ block_id, archived, in_trash, ...content }) => {
+        const block = find(block_id, 'block');
+        const types = Object.keys(content);
+
+        if (types.some(type => type !== block.type)) {
+          throw apiError(400, 'validation_error', `body failed validation: block type cannot be changed from ${block.type} to ${types.find(type => type !== block.type)}.`);
+        }
+        if (content[block.type]) {
+          const updated = { ...readOnlyContent(block[block.type]), ...content[block.type] };
+          if (content[block.type].external) {
+            updated.type = 'external';
+            delete updated.file;
+          }
+          block[block.type] = normalizeContent(block.type, updated);
+        }
+        if (archived !== undefined || in_trash !== undefined) {
+          block.archived = Boolean(archived ?? in_trash);
+          block.in_trash = block.archived;
+        }
+        block.last_edited_time = now();
+        return view(block);
+      }),
+
+      delete: method('blocks.delete', ({ block_id }) => {
+        const block = find(block_id, 'block');
+        block.archived = true;
+        block.in_trash = true;
+        block.last_edited_time = now();
+        return view(block);
+      }),
+
+      children: {
+        list: method('blocks.children.list', ({ block_id, start_cursor, page_size }) => {
+          const parent = lookup(block_id);
+          if (!parent && !children.has(block_id)) {
+            throw apiError(404, 'object_not_found', `Could not find block with ID: ${block_id}.`);
+          }
+
+          const results = listChildIds(parent ? contentSource(parent) : block_id).map(id => view(blocks.get(id)));
+          return paginate(results, start_cursor, page_size);
+        }),
+
+        append: method('blocks.children.append', ({ block_id, children: newBlocks = [], after }) => {
+          const parent = lookup(block_id);
+          if (!parent || parent.archived) {
+            throw apiError(404, 'object_not_found', `Could not find block with ID: ${block_id}.`);
+          }
+          if (newBlocks.length > 100) {
+            throw apiError(400, 'validation_error', 'body failed validation: body.children.length should be ≤ `100`.');
+          }
+
+          const siblings = children.get(parent.id);
+          let position = siblings.length;
+          if (after) {
+            position = siblings.indexOf(after) + 1;
+            if (position === 0) {
+              throw apiError(400, 'validation_error', `Could not find block with ID: ${after} among the children of ${block_id}.`);
+            }
+          }
+
+          const created = newBlocks.map(block => {
+            // Like the API, "type" may be left out of new blocks
+            const type = block.type || Object.keys(block).find(key => !['object', 'type', 'children'].includes(key));
+            const { children: nested, ...content } = block[type] || {};
+            return register({ object: 'block', type, [type]: content, children: nested || block.children }, parentOf(parent));
+          });
+          siblings.splice(position, 0, ...created);
+          return { object: 'list', results: created.map(id => view(blocks.get(id))), next_cursor: null, has_more: false };
+        })
+      }
+    }
+  };
+
+  return {
+    ...client,
+    calls,
+
+    failNext(methodName, error, times = 1) {
+      failures.push({ method: methodName, error: toError(error), times });
+    },
+
+    // Archived blocks and pages are returned too, so tests can check deletes
+    getBlock(id) {
+      const block = lookup(id, 'block');
+      return block ? view(block) : null;
+    },
+
+    getPage(id) {
+      const page = lookup(id, 'page');
+      return page ? view(page) : null;
+    },
+
+    // Current (non-archived) children of a page or block
+    getChildren(id) {
+      return listChildIds(id).map(childId => view(blocks.get(childId)));
+    }
+  };
+}
+
+export function loadWorkspaceFixture(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+export function apiError(status, code, message, headers = {}) {
+  return new APIResponseError({
+    code,
+    status,
+    message,
+    headers: new Headers(headers),
+    rawBodyText: JSON.stringify({ object: 'error', status, code, message })
+  });
+}
+
+const ERROR_CODES = {
+  400: 'validation_error',
+  404: 'object_not_found',
+  409: 'conflict_error',
+  429: 'rate_limited',
+  500: 'internal_server_error',
+  502: 'internal_server_error',
+  503: 'service_unavailable'
+};
+
+function toError(error) {
+  if (error instanceof Error) return error;
+
+  const { status, code, message, retryAfter } = typeof error === 'number' ? { status: error } : error;
+  return apiError(
+    status,
+    code || ERROR_CODES[status] || 'internal_server_error',
+    message || `Injected ${status} error`,
+    retryAfter !== undefined ? { 'retry-after': String(retryAfter) } : {}
+  );
+}
+
+// Fields Notion fills in when a writable one is left out of a create or update
+const CONTENT_DEFAULTS = {
+  paragraph: { color: 'default' },
+  heading_1: { color: 'default', is_toggleable: false },
+  heading_2: { color: 'default', is_toggleable: false },
+  heading_3: { color: 'default', is_toggleable: false },
+  bulleted_list_item: { color: 'default' },
+  numbered_list_item: { color: 'default' },
+  toggle: { color: 'default' },
+  quote: { color: 'default' },
+  callout: { color: 'default' },
+  to_do: { checked: false, color: 'default' },
+  code: { caption: [], language: 'plain text' },
+  bookmark: { caption: [] },
+  embed: { caption: [] }
+};
+
+function normalizeContent(type, content) {
+  const normalized = { ...CONTENT_DEFAULTS[type], ...content };
+
+  for (const key of ['rich_text', 'caption']) {
+    if (Array.isArray(normalized[key])) {
+      normalized[key] = normalized[key].map(normalizeRichTextItem);
+    }
+  }
+  if (Array.isArray(normalized.cells)) {
+    normalized.cells = normalized.cells.map(cell => cell.map(normalizeRichTextItem));
+  }
+
+  return normalized;
+}
+
+// What an update cannot send but the block keeps: Notion-hosted files and
+// icons, and which kind of file a media block holds
+function readOnlyContent(content) {
+  const kept = {};
+  if (content.type) kept.type = content.type;
+  if (content.type === 'file') kept.file = content.file;
+  if (content.icon?.type === 'file') kept.icon = content.icon;
+  return kept;
+}
+
+// Requests may send bare { text: { content } } items; responses always have
+// annotations, plain_text and href
+function normalizeRichTextItem(item) {
+  const type = item.type || 'text';
+  const plainText = item.plain_text ??
+    (type === 'text' ? item.text?.content ?? '' :
+     type === 'equation' ? item.equation?.expression ?? '' :
+     '');
+
+  return {
+    ...item,
+    type,
+    annotations: {
+      bold: false,
+      italic: false,
+      strikethrough: false,
+      underline: false,
+      code: false,
+      color: 'default',
+      ...item.annotations
+    },
+    plain_text: plainText,
+    href: item.href ?? (type === 'text' ? item.text?.link?.url ?? null : null)
+  };
+}
+
+function paginate(results, startCursor, pageSize = 100) {
+  const size = Math.min(Math.max(1, pageSize || 100), 100);
+  let start = 0;
+
+  if (startCursor) {
+    start = results.findIndex(result => result.id === startCursor);
+    if (start === -1) {
+      throw apiError(400, 'validation_error', `start_cursor ${startCursor} is not valid.`);
+    }
+  }
+
+  const page = results.slice(start, start + size);
+  const next = results[start + size];
+  return {
+    object: 'list',
+    results: page,
+    next_cursor: next ? next.id : null,
+    has_more: Boolean(next)
+  };
+}
+
+// Supports the timestamp filters the tools send, alone or under `and`
+function matchesFilter(page, filter) {
+  if (!filter) return true;
+  if (filter.and) return filter.and.every(condition => matchesFilter(page, condition));
+  if (filter.or) return filter.or.some(condition => matchesFilter(page, condition));
+
+  if (filter.timestamp) {
+    const value = new Date(page[filter.timestamp]);
+    const condition = filter[filter.timestamp] || {};
+    if (condition.after && !(value > new Date(condition.after))) return false;
+    if (condition.before && !(value < new Date(condition.before))) return false;
+    if (condition.on_or_after && !(value >= new Date(condition.on_or_after))) return false;
+    if (condition.on_or_before && !(value <= new Date(condition.on_or_before))) return false;
+    return true;
+  }
+
+  throw apiError(400, 'validation_error', `The fake client does not support filter ${JSON.stringify(filter)}.`);
+}
+
+function getTitle(object) {
+  if (object.object === 'database') {
+    return (object.title || []).map(item => item.plain_text ?? item.text?.content ?? '').join('');
+  }
+  const title = Object.values(object.properties || {}).find(property => property.type === 'title');
+  return (title?.title || []).map(item => item.plain_text ?? item.text?.content ?? '').join('');
+}
+
+// Accepts undashed IDs the way the API does
+function formatId(id) {
+  const compact = String(id).replace(/-/g, '');
+  if (!/^[0-9a-f]{32}$/i.test(compact)) return id;
+  return `${compact.slice(0, 8)}-${compact.slice(8, 12)}-${compact.slice(12, 16)}-${compact.slice(16, 20)}-${compact.slice(20)}`;
+}
@@ -1,50 +1,176 @@
 import ora from 'ora';
 import chalk from 'chalk';
-import { getAllPages, getPageContent } from './page-fetcher.js';
+import { getPageContent, getPageTitle } from './page-fetcher.js';
+import { getScopedPages, hasScope } from './scope.js';
 import { processBlock } from './text-processor.js';
+import { processPageProperties } from './property-processor.js';
+import { createJournal } from './journal.js';
+import { resolveRuleScopes, getRulesForPage } from './mapping.js';
+import { runWithConcurrency, DEFAULT_CONCURRENCY } from './worker-pool.js';
 
 export async function findAndReplaceInWorkspace(notion, searchText, replaceText, options = {}) {
   const spinner = ora('Fetching all pages from workspace...').start();
   console.log(chalk.gray(`[LOG] Starting find and replace operation`));
-  console.log(chalk.gray(`[LOG] Search text: "${searchText}"`));
-  console.log(chalk.gray(`[LOG] Replace text: "${replaceText}"`));
+  if (options.rules) {
+    console.log(chalk.gray(`[LOG] Applying ${options.rules.length} rules from mapping file`));
+  } else if (searchText) {
+    console.log(chalk.gray(`[LOG] Search text: "${searchText}"`));
+    console.log(chalk.gray(`[LOG] Replace text: "${replaceText}"`));
+  }
+  if (options.mentionTargets) {
+    console.log(chalk.gray(`[LOG] Retargeting mentions of ${options.mentionTargets.size} page(s)`));
+  }
+  if (options.regex) {
+    console.log(chalk.gray(`[LOG] Regex mode enabled (ignore case: ${!!options.ignoreCase}, multiline: ${!!options.multiline})`));
+  }
+  if (options.wholeWord || options.preserveCase) {
+    console.log(chalk.gray(`[LOG] Whole word: ${!!options.wholeWord}, preserve case: ${!!options.preserveCase}`));
+  }
   
   try {
     console.log(chalk.gray(`[LOG] Fetching pages from Notion API...`));
-    const pages = await getAllPages(notion);
-    spinner.succeed(`Found ${pages.length} pages in workspace`);
+    const pages = options.rules ?
+      await resolveRuleScopes(notion, options.rules, options.scope) :
+      await getScopedPages(notion, options.scope);
+    spinner.succeed(`Found ${pages.length} pages in ${hasScope(options.scope) ? 'scope' : 'workspace'}`);
     console.log(chalk.gray(`[LOG] Successfully fetched ${pages.length} pages`));
     
+    // Dry runs change nothing, so there is nothing to journal
+    const journal = options.dryRun ? null : options.journal || createJournal(options.operation || 'replace', {
+      searchText,
+      replaceText,
+      regex: !!options.regex,
+      wholeWord: !!options.wholeWord,
+      preserveCase: !!options.preserveCase,
+      properties: options.properties || false,
+      ...(options.rules && {
+        rules: options.rules.map(rule => ({ name: rule.name, search: rule.search, replace: rule.replace, ...rule.matchOptions }))
+      }),
+      ...(options.mentionTargets && { mentionTargets: Object.fromEntries(options.mentionTargets) })
+    });
+    
+    // Shared across pages so synced content, and child pages reached from
+    // their parent, are only edited once per run
+    const syncedBlocks = new Set();
+    const visitedPages = new Set();
+    
     const results = {
+      runId: journal?.runId,
       totalPages: pages.length,
       modifiedPages: [],
       errors: [],
-      totalReplacements: 0
+      totalReplacements: 0,
+      tableCellReplacements: 0,
+      propertyReplacements: 0,
+      mentionRetargets: 0,
+      skippedMatches: 0,
+      skippedPages: [],
+      cancelled: false,
+      ...(options.rules && {
+        rules: options.rules.map(rule => ({
+          id: rule.id,
+          name: rule.name,
+          search: rule.search,
+          replace: rule.replace,
+          replacements: 0,
+          pages: 0
+        }))
+      })
     };
     
-    for (let i = 0; i < pages.length; i++) {
-      const page = pages[i];
+    // Interactive prompts have to come one page at a time
+    const concurrency = options.approveMatch ? 1 : (options.concurrency || DEFAULT_CONCURRENCY);
+    const pageOrder = new Map(pages.map((page, index) => [page.id, index]));
+    console.log(chalk.gray(`[LOG] Processing up to ${concurrency} pages at a time`));
+    
+    await runWithConcurrency(pages, concurrency, async (page, i) => {
       const pageTitle = getPageTitle(page);
       
+      if (options.isCancelled?.()) {
+        results.cancelled = true;
+        console.log(chalk.gray(`[LOG] Operation cancelled before page ${i + 1}/${pages.length}`));
+        return;
+      }
+      
+      // Rules scoped to other pages are left out; with none left there is nothing to fetch
+      const pageRules = options.rules ? getRulesForPage(options.rules, page) : null;
+      if (pageRules && pageRules.length === 0) {
+        console.log(chalk.gray(`[LOG] No rules apply to page ${i + 1}/${pages.length}: ${pageTitle}`));
+        return;
+      }
+      
+      // The spinner would redraw over interactive prompts, so stop it first
+      const pageOptions = {
+        ...options,
+        journal,
+        ...(pageRules && { rules: pageRules }),
+        ...(options.approveMatch && {
+          approveMatch: (context) => {
+            spinner.stop();
+            return options.approveMatch({ ...context, page, pageTitle });
+          }
+        })
+      };
+      
       spinner.start(`Processing page ${i + 1}/${pages.length}: ${pageTitle}`);
       console.log(chalk.gray(`[LOG] Processing page ${i + 1}/${pages.length}: ${pageTitle} (ID: ${page.id})`));
       
       try {
-        console.log(chalk.gray(`[LOG] Fetching blocks for page: ${pageTitle}`));
-        const blocks = await getPageContent(notion, page.id);
-        console.log(chalk.gray(`[LOG] Found ${blocks.length} blocks in page: ${pageTitle}`));
-        
         let pageModified = false;
         let pageReplacements = 0;
+        let pageTableCellReplacements = 0;
+        let pagePropertyReplacements = 0;
+        let pageSkippedMatches = 0;
+        let pageMentionRetargets = 0;
+        const pageRuleReplacements = {};
+        const countRules = (counts = {}) => {
+          for (const [id, count] of Object.entries(counts)) {
+            pageRuleReplacements[id] = (pageRuleReplacements[id] || 0) + count;
+          }
+        };
+        
+        if (options.properties) {
+          const propertyResult = await processPageProperties(notion, page, searchText, replaceText, {
+            ...pageOptions,
+            propertyNames: Array.isArray(options.properties) ? options.properties : null
+          });
+          if (propertyResult.modified) {
+            pageModified = true;
+            pageReplacements += propertyResult.replacements;
+            pagePropertyReplacements += propertyResult.replacements;
+            console.log(chalk.gray(`[LOG] ✓ Properties modified: ${propertyResult.properties.map(p => p.name).join(', ')}`));
+          }
+          pageSkippedMatches += propertyResult.skipped;
+          countRules(propertyResult.ruleReplacements);
+        }
+        
+        const blocks = options.propertiesOnly ? [] : await getPageContent(notion, page.id, {
+          recursive: options.recursive !== false,
+          maxDepth: options.maxDepth,
+          skipChildPages: !options.includeChildPages,
+          includeTableRows: true,
+          syncedBlocks,
+          visitedPages
+        });
+        if (!options.propertiesOnly) {
+          console.log(chalk.gray(`[LOG] Found ${blocks.length} blocks in page: ${pageTitle}`));
+        }
         
         for (let j = 0; j < blocks.length; j++) {
           const block = blocks[j];
+          if (options.isCancelled?.()) {
+            break;
+          }
           try {
             console.log(chalk.gray(`[LOG] Processing block ${j + 1}/${blocks.length} (type: ${block.type}, id: ${block.id})`));
-            const result = await processBlock(notion, block, searchText, replaceText);
+            const result = await processBlock(notion, block, searchText, replaceText, pageOptions);
+            pageSkippedMatches += result.skipped || 0;
             if (result.modified) {
               pageModified = true;
-              pageReplacements++;
+              pageReplacements += result.replacements;
+              pageTableCellReplacements += result.tableCellReplacements || 0;
+              pageMentionRetargets += result.mentionRetargets || 0;
+              countRules(result.ruleReplacements);
               console.log(chalk.gray(`[LOG] ✓ Block modified: ${block.id}`));
             }
           } catch (blockError) {
@@ -55,16 +181,37 @@ export async function findAndReplaceInWorkspace(notion, searchText, replaceText,
           }
         }
         
+        results.skippedMatches += pageSkippedMatches;
+        
+        for (const ruleResult of results.rules || []) {
+          const count = pageRuleReplacements[ruleResult.id] || 0;
+          if (count > 0) {
+            ruleResult.replacements += count;
+            ruleResult.pages++;
+          }
+        }
+        
         if (pageModified) {
           results.modifiedPages.push({
             id: page.id,
             title: pageTitle,
-            replacements: pageReplacements
+            replacements: pageReplacements,
+            tableCellReplacements: pageTableCellReplacements,
+            propertyReplacements: pagePropertyReplacements,
+            skippedMatches: pageSkippedMatches,
+            mentionRetargets: pageMentionRetargets,
+            ...(options.rules && { ruleReplacements: pageRuleReplacements })
           });
           results.totalReplacements += pageReplacements;
+          results.tableCellReplacements += pageTableCellReplacements;
+          results.propertyReplacements += pagePropertyReplacements;
+          results.mentionRetargets += pageMentionRetargets;
           spinner.succeed(`Modified page ${i + 1}/${pages.length}: ${pageTitle} (${pageReplacements} replacements)`);
           console.log(chalk.gray(`[LOG] Page modified successfully: ${pageTitle} with ${pageReplacements} replacements`));
         } else {
+          if (pageSkippedMatches > 0) {
+            results.skippedPages.push({ id: page.id, title: pageTitle, skippedMatches: pageSkippedMatches });
+          }
           spinner.info(`No changes in page ${i + 1}/${pages.length}: ${pageTitle}`);
           console.log(chalk.gray(`[LOG] No changes needed in page: ${pageTitle}`));
         }
@@ -78,8 +225,18 @@ export async function findAndReplaceInWorkspace(notion, searchText, replaceText,
         });
         spinner.fail(`Error processing page ${i + 1}/${pages.length}: ${pageTitle} - ${pageError.message}`);
       }
+    });
+    
+    if (options.isCancelled?.()) {
+      results.cancelled = true;
     }
     
+    // Parallel pages finish in any order; report them in page order
+    const byPageOrder = (a, b) => pageOrder.get(a.id ?? a.pageId) - pageOrder.get(b.id ?? b.pageId);
+    results.modifiedPages.sort(byPageOrder);
+    results.skippedPages.sort(byPageOrder);
+    results.errors.sort(byPageOrder);
+    
     console.log(chalk.gray(`[LOG] Operation completed. Total replacements: ${results.totalReplacements}`));
     return results;
     
@@ -88,22 +245,4 @@ export async function findAndReplaceInWorkspace(notion, searchText, replaceText,
     spinner.fail(`Failed to fetch pages: ${error.message}`);
     throw error;
   }
-}
-
-function getPageTitle(page) {
-  if (page.properties?.title?.title?.[0]?.plain_text) {
-    return page.properties.title.title[0].plain_text;
-  }
-  
-  if (page.properties?.Name?.title?.[0]?.plain_text) {
-    return page.properties.Name.title[0].plain_text;
-  }
-  
-  for (const prop in page.properties) {
-    if (page.properties[prop]?.title?.[0]?.plain_text) {
-      return page.properties[prop].title[0].plain_text;
-    }
-  }
-  
-  return 'Untitled';
 }
\ No newline at end of file
@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export function getJournalDir() {
+  return process.env.NOTION_JOURNAL_DIR || path.join(process.cwd(), 'journal');
+}
+
+export function createRunId() {
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+  return `${timestamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+// Every mutation is appended as one JSON line before the next one starts,
+// so a crashed run still leaves a journal that can be rolled back.
+export function createJournal(operation, details = {}) {
+  const dir = getJournalDir();
+  const runId = createRunId();
+  const filePath = path.join(dir, `${runId}.jsonl`);
+  let sequence = 0;
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  function append(entry) {
+    sequence++;
+    const line = JSON.stringify({
+      seq: sequence,
+      at: new Date().toISOString(),
+      ...entry
+    });
+    fs.appendFileSync(filePath, line + '\n');
+  }
+
+  append({ action: 'run_started', runId, operation, details });
+  console.log(`[LOG] Journaling ${operation} run ${runId} to ${filePath}`);
+
+  return {
+    runId,
+    filePath,
+
+    recordBlockUpdate(block, after) {
+      append({
+        action: 'block_update',
+        blockId: block.id,
+        before: snapshotBlock(block),
+        after
+      });
+    },
+
+    recordBlockCreate(blockId, parentId, block) {
+      append({
+        action: 'block_create',
+        blockId,
+        parentId,
+        after: block
+      });
+    },
+
+    // afterId is the sibling the block should be re-created after on undo
+    recordBlockDelete(block, parentId, afterId) {
+      append({
+        action: 'block_delete',
+        blockId: block.id,
+        parentId,
+        afterId,
+        before: snapshotBlock(block)
+      });
+    },
+
+    recordPropertyUpdate(pageId, propertyName, before, after) {
+      append({
+        action: 'property_update',
+        pageId,
+        property: propertyName,
+        before,
+        after
+      });
+    }
+  };
+}
+
+export function markRunUndone(runId, summary) {
+  const entries = readJournal(runId);
+  const last = entries[entries.length - 1];
+  const line = JSON.stringify({
+    seq: (last?.seq || 0) + 1,
+    at: new Date().toISOString(),
+    action: 'run_undone',
+    summary
+  });
+  fs.appendFileSync(path.join(getJournalDir(), `${runId}.jsonl`), line + '\n');
+}
+
+export function readJournal(runId) {
+  const filePath = path.join(getJournalDir(), `${runId}.jsonl`);
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No journal found for run ${runId} (looked in ${filePath})`);
+  }
+
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+export function listRuns() {
+  const dir = getJournalDir();
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.jsonl'))
+    .sort()
+    .map(file => {
+      const entries = readJournal(file.replace(/\.jsonl$/, ''));
+      const header = entries.find(entry => entry.action === 'run_started') || {};
+      return {
+        runId: header.runId || file.replace(/\.jsonl$/, ''),
+        operation: header.operation,
+        startedAt: header.at,
+        changes: entries.filter(entry => entry.action !== 'run_started' && entry.action !== 'run_undone').length,
+        undone: entries.some(entry => entry.action === 'run_undone')
+      };
+    });
+}
+
+// Keeps only what is needed to restore the block; the rest of the API object
+// (timestamps, authors, parent) is either read-only or re-derived by Notion.
+// A fetched child tree (block.children) is kept so undo can restore it
+function snapshotBlock(block) {
+  return {
+    id: block.id,
+    type: block.type,
+    has_children: block.has_children,
+    [block.type]: block[block.type],
+    ...(block.children && { children: block.children.map(snapshotBlock) })
+  };
+}
@@ -0,0 +1,70 @@
+// Structural rewrites for link URLs matched by a search. They run after any
+// text replacement on the URL:
+//   host          replace the host (and port) of the URL
+//   addParams     { name: value } query parameters to set
+//   removeParams  query parameter names to drop; "utm_*" removes every match
+export function hasLinkOperations(operations) {
+  return Boolean(
+    operations && (
+      operations.host ||
+      Object.keys(operations.addParams || {}).length > 0 ||
+      (operations.removeParams || []).length > 0
+    )
+  );
+}
+
+export function transformUrl(url, operations) {
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    // Relative links and mailto-style values have no host or query to edit
+    console.log(`[LOG]       ⏭ Leaving "${url}" unchanged: not an absolute URL`);
+    return url;
+  }
+
+  if (operations.host) {
+    parsed.host = operations.host;
+  }
+
+  for (const name of operations.removeParams || []) {
+    const namePattern = globToRegExp(name);
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (namePattern.test(key)) {
+        parsed.searchParams.delete(key);
+      }
+    }
+  }
+
+  for (const [name, value] of Object.entries(operations.addParams || {})) {
+    parsed.searchParams.set(name, value);
+  }
+
+  // URL always adds a trailing slash to a bare origin; keep the original form
+  const result = parsed.toString();
+  if (!/^[a-z][a-z0-9+.-]*:\/\/[^/?#]+\//i.test(url) && parsed.pathname === '/' && result.startsWith(`${parsed.origin}/`)) {
+    return parsed.origin + result.slice(parsed.origin.length + 1);
+  }
+  return result;
+}
+
+// Parses "name=value" strings from the command line
+export function parseQueryParams(pairs = []) {
+  const params = {};
+
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Expected name=value for query parameter, got "${pair}"`);
+    }
+    params[pair.slice(0, separator)] = pair.slice(separator + 1);
+  }
+
+  return params;
+}
+
+function globToRegExp(glob) {
+  const source = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${source}$`);
+}
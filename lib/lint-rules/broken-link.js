@@ -0,0 +1,62 @@
+import { getRichText } from './helpers.js';
+
+const PLACEHOLDER_LINKS = ['#', 'todo', 'tbd', 'xxx', 'link', 'url'];
+const PLACEHOLDER_HOSTS = /^(localhost|127\.0\.0\.1|0\.0\.0\.0|(www\.)?example\.(com|org|net))$/i;
+
+// Why a URL looks broken, or null when it looks fine. Notion's own links
+// to pages in the workspace are relative ("/0123abcd...").
+export function describeBrokenLink(url) {
+  const value = (url || '').trim();
+
+  if (value === '') return 'empty link';
+  if (PLACEHOLDER_LINKS.includes(value.toLowerCase())) return `placeholder link "${value}"`;
+  if (/\s/.test(value)) return 'link contains spaces';
+  if (value.startsWith('/')) return null;
+  if (/^(mailto|tel):/i.test(value)) return null;
+  if (/^https?:\/\/https?:/i.test(value)) return 'scheme is repeated';
+  if (!/^https?:\/\//i.test(value)) return 'link has no http(s):// scheme';
+
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (error) {
+    return 'link is not a valid URL';
+  }
+
+  if (!parsed.hostname.includes('.') && parsed.hostname !== 'localhost') return 'host has no domain';
+  if (PLACEHOLDER_HOSTS.test(parsed.hostname)) return `link points to ${parsed.hostname}`;
+
+  return null;
+}
+
+function getLinks(block) {
+  const links = getRichText(block)
+    .filter(item => item.href || item.text?.link)
+    .map(item => ({ url: item.text?.link?.url ?? item.href, text: item.plain_text ?? item.text?.content }));
+
+  if (['bookmark', 'embed', 'link_preview'].includes(block.type)) {
+    links.push({ url: block[block.type].url, text: block.type });
+  }
+
+  return links;
+}
+
+export const brokenLink = {
+  id: 'broken-link',
+  description: 'Links should be well-formed and not point at placeholders',
+  severity: 'error',
+  check({ flatBlocks }) {
+    const issues = [];
+
+    for (const block of flatBlocks) {
+      for (const link of getLinks(block)) {
+        const problem = describeBrokenLink(link.url);
+        if (problem) {
+          issues.push({ blockId: block.id, message: `"${link.text}" → ${link.url}: ${problem}` });
+        }
+      }
+    }
+
+    return issues;
+  }
+};
@@ -0,0 +1,13 @@
+import { getRichText, plainText } from './helpers.js';
+
+export const emptyParagraph = {
+  id: 'empty-paragraph',
+  description: 'Paragraphs should have text',
+  severity: 'warning',
+  check({ flatBlocks }) {
+    return flatBlocks
+      .filter(block => block.type === 'paragraph' && !block.has_children)
+      .filter(block => plainText(getRichText(block)).trim() === '')
+      .map(block => ({ blockId: block.id, message: 'Empty paragraph' }));
+  }
+};
@@ -0,0 +1,26 @@
+import { HEADING_LEVELS, getRichText, plainText } from './helpers.js';
+
+export const headingOrder = {
+  id: 'heading-order',
+  description: 'Headings should not skip levels (an H3 straight after an H1)',
+  severity: 'warning',
+  check({ flatBlocks }) {
+    const issues = [];
+    let previous = null;
+
+    for (const block of flatBlocks) {
+      const level = HEADING_LEVELS[block.type];
+      if (!level) continue;
+
+      if (previous !== null && level > previous + 1) {
+        issues.push({
+          blockId: block.id,
+          message: `H${level} "${plainText(getRichText(block))}" follows an H${previous}`
+        });
+      }
+      previous = level;
+    }
+
+    return issues;
+  }
+};
@@ -0,0 +1,10 @@
+export const HEADING_LEVELS = { heading_1: 1, heading_2: 2, heading_3: 3 };
+
+export function plainText(richText = []) {
+  return richText.map(item => item.plain_text ?? item.text?.content ?? '').join('');
+}
+
+// The rich text of a text block, or [] for blocks without any
+export function getRichText(block) {
+  return block[block.type]?.rich_text || [];
+}
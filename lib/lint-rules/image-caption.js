@@ -0,0 +1,13 @@
+import { plainText } from './helpers.js';
+
+export const imageCaption = {
+  id: 'image-caption',
+  description: 'Images should have a caption',
+  severity: 'warning',
+  check({ flatBlocks }) {
+    return flatBlocks
+      .filter(block => block.type === 'image')
+      .filter(block => plainText(block.image.caption).trim() === '')
+      .map(block => ({ blockId: block.id, message: 'Image has no caption' }));
+  }
+};
@@ -0,0 +1,22 @@
+// Built-in rules. A rule is an object with an id, a description, a severity
+// ('error' or 'warning') and check(context), which returns the issues it
+// finds as { message, blockId? }. See lib/content-lint.js for the context.
+import { missingH1 } from './missing-h1.js';
+import { multipleH1 } from './multiple-h1.js';
+import { headingOrder } from './heading-order.js';
+import { emptyParagraph } from './empty-paragraph.js';
+import { imageCaption } from './image-caption.js';
+import { brokenLink } from './broken-link.js';
+import { leftoverTodo } from './leftover-todo.js';
+import { longParagraph } from './long-paragraph.js';
+
+export const DEFAULT_RULES = [
+  missingH1,
+  multipleH1,
+  headingOrder,
+  emptyParagraph,
+  imageCaption,
+  brokenLink,
+  leftoverTodo,
+  longParagraph
+];
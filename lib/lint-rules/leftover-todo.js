@@ -0,0 +1,19 @@
+import { getRichText, plainText } from './helpers.js';
+
+export const leftoverTodo = {
+  id: 'leftover-todo',
+  description: 'Published posts should not contain to-do items',
+  severity: 'error',
+  check({ flatBlocks, published }) {
+    if (!published) {
+      return [];
+    }
+
+    return flatBlocks
+      .filter(block => block.type === 'to_do')
+      .map(block => ({
+        blockId: block.id,
+        message: `To-do "${plainText(getRichText(block))}" in a published post`
+      }));
+  }
+};
@@ -0,0 +1,21 @@
+import { getRichText, plainText } from './helpers.js';
+
+export const DEFAULT_MAX_PARAGRAPH_LENGTH = 1200;
+
+export const longParagraph = {
+  id: 'long-paragraph',
+  description: `Paragraphs should stay under a length limit (default ${DEFAULT_MAX_PARAGRAPH_LENGTH} characters)`,
+  severity: 'warning',
+  check({ flatBlocks, options }) {
+    const maxLength = options.maxParagraphLength ?? DEFAULT_MAX_PARAGRAPH_LENGTH;
+
+    return flatBlocks
+      .filter(block => block.type === 'paragraph')
+      .map(block => ({ block, length: plainText(getRichText(block)).length }))
+      .filter(({ length }) => length > maxLength)
+      .map(({ block, length }) => ({
+        blockId: block.id,
+        message: `Paragraph is ${length} characters long (limit ${maxLength})`
+      }));
+  }
+};
@@ -0,0 +1,12 @@
+export const missingH1 = {
+  id: 'missing-h1',
+  description: 'Pages should have an H1 heading',
+  severity: 'error',
+  check({ flatBlocks }) {
+    if (flatBlocks.some(block => block.type === 'heading_1')) {
+      return [];
+    }
+
+    return [{ message: 'Page has no H1 heading' }];
+  }
+};
@@ -0,0 +1,13 @@
+export const multipleH1 = {
+  id: 'multiple-h1',
+  description: 'Pages should have only one H1 heading',
+  severity: 'error',
+  check({ flatBlocks }) {
+    const headings = flatBlocks.filter(block => block.type === 'heading_1');
+
+    return headings.slice(1).map(block => ({
+      blockId: block.id,
+      message: `Extra H1 heading (${headings.length} on the page)`
+    }));
+  }
+};
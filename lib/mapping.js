@@ -0,0 +1,276 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { buildSearchPattern } from './text-processor.js';
+import { getScopedPages, hasScope, normalizeId, compileTitlePattern } from './scope.js';
+
+// A mapping file holds many search → replace rules that are applied in one
+// workspace traversal. Supported formats:
+//
+//   JSON/YAML  a list of rules, or an object of { "search": "replace" } pairs
+//   CSV        a header row naming the columns, then one rule per line
+//
+// Rule fields (any of camelCase, snake_case or kebab-case):
+//   search, replace, name, regex, ignore_case, multiline, whole_word, preserve_case,
+//   database, parent, edited_after, edited_before, title, pages_file
+// The scope fields may also be nested under `scope` in JSON/YAML.
+export function loadMappingFile(filePath, defaults = {}) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  let entries;
+
+  switch (extension) {
+    case '.json':
+      entries = JSON.parse(content);
+      break;
+    case '.yaml':
+    case '.yml':
+      entries = YAML.parse(content);
+      break;
+    case '.csv':
+      entries = parseCsv(content);
+      break;
+    default:
+      throw new Error(`Unsupported mapping file type "${extension}" (use .csv, .json, .yaml or .yml)`);
+  }
+
+  if (entries && !Array.isArray(entries) && typeof entries === 'object') {
+    entries = Object.entries(entries).map(([search, replace]) => ({ search, replace }));
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Mapping file ${filePath} does not contain any rules`);
+  }
+
+  return entries.map((entry, index) => normalizeRule(entry, index, defaults));
+}
+
+export function normalizeRule(entry, index, defaults = {}) {
+  const fields = {};
+  for (const [key, value] of Object.entries({ ...entry, ...entry.scope })) {
+    fields[key.toLowerCase().replace(/[-_]/g, '')] = value;
+  }
+
+  const number = index + 1;
+  const search = fields.search === undefined || fields.search === null ? '' : String(fields.search);
+  const replace = fields.replace === undefined || fields.replace === null ? '' : String(fields.replace);
+
+  if (!search) {
+    throw new Error(`Rule ${number}: search text cannot be empty`);
+  }
+
+  const matchOptions = {
+    regex: parseBoolean(fields.regex, defaults.regex),
+    ignoreCase: parseBoolean(fields.ignorecase, defaults.ignoreCase),
+    multiline: parseBoolean(fields.multiline, defaults.multiline),
+    wholeWord: parseBoolean(fields.wholeword, defaults.wholeWord),
+    preserveCase: parseBoolean(fields.preservecase, defaults.preserveCase)
+  };
+
+  try {
+    buildSearchPattern(search, matchOptions);
+  } catch (error) {
+    throw new Error(`Rule ${number}: ${error.message}`);
+  }
+
+  // Only the fields the rule sets, so the scope never carries empty keys
+  const scope = Object.fromEntries(Object.entries({
+    databaseId: fields.database ? normalizeId(fields.database) : undefined,
+    parentPageId: fields.parent ? normalizeId(fields.parent) : undefined,
+    editedAfter: parseRuleDate(fields.editedafter, number),
+    editedBefore: parseRuleDate(fields.editedbefore, number),
+    titlePattern: fields.title || undefined,
+    pageIdsFile: fields.pagesfile || undefined
+  }).filter(([, value]) => value !== undefined));
+
+  if (scope.titlePattern) {
+    try {
+      compileTitlePattern(scope.titlePattern);
+    } catch (error) {
+      throw new Error(`Rule ${number}: ${error.message}`);
+    }
+  }
+
+  return {
+    id: number,
+    name: fields.name ? String(fields.name) : `#${number}`,
+    search,
+    replace,
+    matchOptions,
+    scope: hasScope(scope) ? scope : null
+  };
+}
+
+// Rules run one after another on the same text, so a rule whose input
+// matches an earlier rule's output would rewrite that output again. Such
+// pairs are reordered so the reading rule runs first; rules that feed each
+// other in a cycle (e.g. swapping two names) cannot be ordered and are
+// reported as conflicts.
+export function orderRules(rules) {
+  const dependencies = detectRuleDependencies(rules);
+  const mustRunBefore = new Map(rules.map(rule => [rule.id, new Set()]));
+
+  for (const { producer, consumer } of dependencies) {
+    mustRunBefore.get(producer.id).add(consumer.id);
+  }
+
+  const ordered = [];
+  const remaining = [...rules];
+
+  while (remaining.length > 0) {
+    // Keep file order among rules that are free to run
+    const nextIndex = remaining.findIndex(rule =>
+      [...mustRunBefore.get(rule.id)].every(id => ordered.some(done => done.id === id))
+    );
+
+    if (nextIndex === -1) {
+      const cycle = remaining.map(rule => rule.id);
+      return {
+        rules,
+        reordered: false,
+        conflicts: dependencies.filter(({ producer, consumer }) =>
+          cycle.includes(producer.id) && cycle.includes(consumer.id)
+        )
+      };
+    }
+
+    ordered.push(remaining.splice(nextIndex, 1)[0]);
+  }
+
+  return {
+    rules: ordered,
+    reordered: ordered.some((rule, index) => rule !== rules[index]),
+    conflicts: []
+  };
+}
+
+// Returns every pair where the consumer's pattern matches the producer's
+// replacement. Backreferences in a regex replacement are unknown until a
+// match happens, so only the literal parts of the replacement are checked.
+export function detectRuleDependencies(rules) {
+  const dependencies = [];
+
+  for (const producer of rules) {
+    const output = producer.matchOptions.regex ?
+      producer.replace.replace(/\$(\$|&|`|'|<[^>]*>|\d{1,2})/g, (token, symbol) => symbol === '$' ? '$' : '\u0000') :
+      producer.replace;
+
+    for (const consumer of rules) {
+      if (consumer === producer || !output) continue;
+
+      const pattern = buildSearchPattern(consumer.search, consumer.matchOptions);
+      const match = output.split('\u0000').find(part => {
+        pattern.lastIndex = 0;
+        return part && pattern.test(part);
+      });
+      if (match !== undefined) {
+        dependencies.push({ producer, consumer, text: match });
+      }
+    }
+  }
+
+  return dependencies;
+}
+
+// Resolves each scoped rule to the set of page IDs it may touch, and the
+// pages the traversal has to visit: every page in the run scope, or only
+// those some rule may touch when every rule is scoped. A rule scope narrows
+// the run scope and never widens it, so the two are intersected.
+export async function resolveRuleScopes(notion, rules, scope = {}) {
+  const scopedRules = rules.filter(rule => rule.scope);
+  const pages = await getScopedPages(notion, scope);
+
+  if (scopedRules.length === 0) {
+    return pages;
+  }
+
+  const runPageIds = new Set(pages.map(page => normalizeId(page.id)));
+  const touched = new Set();
+
+  for (const rule of scopedRules) {
+    console.log(`[LOG] Resolving scope for rule ${rule.name}...`);
+    const rulePages = await getScopedPages(notion, rule.scope);
+    rule.pageIds = new Set(rulePages.map(page => normalizeId(page.id)).filter(id => runPageIds.has(id)));
+    rule.pageIds.forEach(id => touched.add(id));
+  }
+
+  if (scopedRules.length === rules.length) {
+    return pages.filter(page => touched.has(normalizeId(page.id)));
+  }
+
+  return pages;
+}
+
+export function getRulesForPage(rules, page) {
+  const pageId = normalizeId(page.id);
+  return rules.filter(rule => !rule.pageIds || rule.pageIds.has(pageId));
+}
+
+export function describeRule(rule) {
+  return `${rule.name} "${rule.search}" → "${rule.replace}"${rule.matchOptions.regex ? ' (regex)' : ''}`;
+}
+
+function parseBoolean(value, fallback = false) {
+  if (value === undefined || value === null || value === '') return !!fallback;
+  if (typeof value === 'boolean') return value;
+  return ['true', 'yes', 'y', '1'].includes(String(value).trim().toLowerCase());
+}
+
+function parseRuleDate(value, number) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Rule ${number}: invalid date "${value}"`);
+  }
+  return date;
+}
+
+// Minimal RFC 4180 reader: quoted fields may contain commas, newlines and
+// doubled quotes
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return records.map(cells =>
+    Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? '']))
+  );
+}
@@ -1,16 +1,108 @@
 import { Client } from '@notionhq/client';
 import dotenv from 'dotenv';
+import { createRateLimiter, parseRetryAfter } from './rate-limiter.js';
+import { withRetry } from './retry.js';
+import { createFakeNotionClient, loadWorkspaceFixture } from './fake-notion-client.js';
 
 dotenv.config();
 
-export function createNotionClient() {
+let sharedLimiter = null;
+
+// The SDK's own default, set explicitly so the limiter knows the deadline
+export const REQUEST_TIMEOUT_MS = 60000;
+
+// One limiter per process: every client created here draws from the same
+// bucket, so running pages in parallel never exceeds the integration limit.
+// NOTION_REQUESTS_PER_SECOND overrides the default of 3.
+export function getRateLimiter() {
+  if (!sharedLimiter) {
+    const requestsPerSecond = Number(process.env.NOTION_REQUESTS_PER_SECOND) || 3;
+    sharedLimiter = createRateLimiter({ requestsPerSecond });
+  }
+  return sharedLimiter;
+}
+
+// Returns a client whose every API call goes through the shared rate limiter
+// and is retried on transient failures (see lib/retry.js). `retry` overrides
+// the retry options, e.g. { maxRetries: 8, onRetry }.
+//
+// Setting NOTION_FAKE_WORKSPACE to a workspace fixture runs against an
+// in-memory copy of it instead (see lib/fake-notion-client.js).
+export function createNotionClient(options = {}) {
+  if (process.env.NOTION_FAKE_WORKSPACE) {
+    console.log(`[LOG] Using fake Notion workspace from ${process.env.NOTION_FAKE_WORKSPACE}`);
+    const fake = createFakeNotionClient(loadWorkspaceFixture(process.env.NOTION_FAKE_WORKSPACE));
+    return wrapWithRetry(fake, options.retry);
+  }
+  
   const apiKey = process.env.NOTION_API_KEY;
   
   if (!apiKey) {
     throw new Error('NOTION_API_KEY is not set in environment variables');
   }
   
-  return new Client({
+  const client = new Client({
     auth: apiKey,
+    timeoutMs: REQUEST_TIMEOUT_MS,
+    fetch: createRateLimitedFetch(getRateLimiter(), globalThis.fetch, { timeoutMs: REQUEST_TIMEOUT_MS })
+  });
+  
+  return wrapWithRetry(client, options.retry);
+}
+
+// Wraps fetch so each request waits for a token first. A 429 pauses the
+// whole limiter for its Retry-After, so other workers hold off too; the
+// failed call itself is retried by wrapWithRetry.
+//
+// The SDK's timeout starts when it calls fetch, so it also covers the time
+// spent queued here. A request whose caller has given up (timed out or
+// aborted) is dropped instead of sent: otherwise an append the caller saw
+// fail could still happen, and happen twice once it is retried.
+export function createRateLimitedFetch(limiter, fetchImpl = globalThis.fetch, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  return async function rateLimitedFetch(url, init) {
+    const deadline = Date.now() + timeoutMs;
+    await limiter.acquire();
+    
+    if (init?.signal?.aborted || Date.now() >= deadline) {
+      console.log(`[LOG] Dropping request to ${url}: it timed out while waiting for the rate limiter`);
+      throw new Error(`Request to ${url} timed out while waiting for the rate limiter and was not sent`);
+    }
+    
+    const response = await fetchImpl(url, init);
+
+    if (response.status === 429) {
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      console.log(`[LOG] Rate limited by Notion; pausing all requests for ${retryAfter / 1000}s`);
+      limiter.pause(retryAfter);
+    }
+
+    return response;
+  };
+}
+
+// Calls that create something cannot tell us whether a 5xx or a dropped
+// connection happened before or after the write, so retrying them could
+// create duplicates; only a 429, which Notion rejects unprocessed, is safe
+export const NON_IDEMPOTENT_OPERATIONS = ['blocks.children.append', 'pages.create', 'databases.create', 'comments.create'];
+
+// Proxies a client (or any object of API namespaces) so every method call,
+// however deeply nested (blocks.children.list), runs inside withRetry
+export function wrapWithRetry(target, retryOptions = {}, path = []) {
+  return new Proxy(target, {
+    get(object, property, receiver) {
+      const value = Reflect.get(object, property, receiver);
+      if (typeof property === 'symbol') return value;
+
+      const operation = [...path, property].join('.');
+
+      if (typeof value === 'function') {
+        const categories = NON_IDEMPOTENT_OPERATIONS.includes(operation) ? ['rate_limited'] : retryOptions.categories;
+        return (...args) => withRetry(() => value.apply(object, args), { ...retryOptions, operation, categories });
+      }
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return wrapWithRetry(value, retryOptions, [...path, property]);
+      }
+      return value;
+    }
   });
 }
\ No newline at end of file
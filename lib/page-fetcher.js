@@ -34,20 +34,146 @@ export async function getAllPages(notion) {
   return pages;
 }
 
-export async function getPageContent(notion, pageId) {
+export function getPageTitle(page) {
+  if (page.properties?.title?.title?.[0]?.plain_text) {
+    return page.properties.title.title[0].plain_text;
+  }
+  
+  if (page.properties?.Name?.title?.[0]?.plain_text) {
+    return page.properties.Name.title[0].plain_text;
+  }
+  
+  for (const prop in page.properties) {
+    if (page.properties[prop]?.title?.[0]?.plain_text) {
+      return page.properties[prop].title[0].plain_text;
+    }
+  }
+  
+  return 'Untitled';
+}
+
+export const DEFAULT_MAX_DEPTH = 10;
+
+// Options:
+//   recursive        descend into blocks with children (toggles, columns, lists...)
+//   maxDepth         nesting levels to descend below the top-level blocks
+//   skipChildPages   don't descend into child_page/child_database blocks (default true,
+//                    since those pages are usually visited on their own)
+//   syncedBlocks     Set shared across pages so each synced_block's content is
+//                    only returned once, whether reached via the original or a reference
+//   visitedPages     Set shared across pages so a page's content is only returned
+//                    once, whether fetched on its own or reached from its parent
+//   includeTableRows fetch table rows even when not recursive
+export async function getPageContent(notion, pageId, options = {}) {
+  const settings = {
+    recursive: options.recursive ?? false,
+    maxDepth: options.maxDepth ?? DEFAULT_MAX_DEPTH,
+    skipChildPages: options.skipChildPages ?? true,
+    includeTableRows: options.includeTableRows ?? false,
+    syncedBlocks: options.syncedBlocks ?? new Set(),
+    visitedPages: options.visitedPages ?? new Set()
+  };
+  
+  if (!markPageVisited(settings, pageId)) {
+    console.log(`[LOG] Skipping page ${pageId}: its blocks were already fetched through its parent`);
+    return [];
+  }
+  
+  console.log(`[LOG] Fetching blocks for page ID: ${pageId}`);
+  const blocks = await fetchBlockTree(notion, pageId, settings, 0);
+  console.log(`[LOG] Finished fetching blocks for page. Total blocks: ${blocks.length}`);
+  return blocks;
+}
+
+async function fetchBlockTree(notion, parentId, settings, depth) {
+  const blocks = [];
+  const children = await listChildren(notion, parentId);
+  
+  for (const block of children) {
+    blocks.push(block);
+    
+    if (!shouldDescend(block, settings, depth)) {
+      continue;
+    }
+    
+    try {
+      if (block.type === 'child_database') {
+        console.log(`[LOG]   Descending into child database ${block.id}`);
+        for (const row of await queryDatabasePages(notion, block.id)) {
+          if (markPageVisited(settings, row.id)) {
+            blocks.push(...await fetchBlockTree(notion, row.id, settings, depth + 1));
+          }
+        }
+      } else {
+        console.log(`[LOG]   Descending into ${block.type} ${block.id} (depth ${depth + 1})`);
+        blocks.push(...await fetchBlockTree(notion, block.id, settings, depth + 1));
+      }
+    } catch (error) {
+      // One unreadable container (e.g. an ai_block) shouldn't lose the rest of the page
+      console.log(`[LOG]   ✗ Could not fetch children of ${block.type} ${block.id}: ${error.message}`);
+    }
+  }
+  
+  return blocks;
+}
+
+function shouldDescend(block, settings, depth) {
+  if (block.type === 'table' && block.has_children && (settings.recursive || settings.includeTableRows)) {
+    return depth < settings.maxDepth;
+  }
+  
+  if (!settings.recursive || depth >= settings.maxDepth) {
+    return false;
+  }
+  
+  if (block.type === 'child_database') {
+    return !settings.skipChildPages;
+  }
+  
+  if (block.type === 'child_page') {
+    // A child page shares its block's ID
+    return !settings.skipChildPages && markPageVisited(settings, block.id);
+  }
+  
+  if (!block.has_children) {
+    return false;
+  }
+  
+  if (block.type === 'synced_block') {
+    // Listing a reference returns the original's blocks, so key both on the original's ID
+    const originalId = block.synced_block?.synced_from?.block_id || block.id;
+    if (settings.syncedBlocks.has(originalId)) {
+      console.log(`[LOG]   Skipping synced block ${block.id}: content of ${originalId} already visited`);
+      return false;
+    }
+    settings.syncedBlocks.add(originalId);
+  }
+  
+  return true;
+}
+
+// Records a page as visited; false when it already was
+function markPageVisited(settings, pageId) {
+  const key = pageId.replace(/-/g, '');
+  if (settings.visitedPages.has(key)) {
+    return false;
+  }
+  settings.visitedPages.add(key);
+  return true;
+}
+
+async function listChildren(notion, blockId) {
   const blocks = [];
   let hasMore = true;
   let cursor = undefined;
   let batchCount = 0;
   
-  console.log(`[LOG] Fetching blocks for page ID: ${pageId}`);
-  
   while (hasMore) {
     batchCount++;
     console.log(`[LOG]   Block batch ${batchCount}: Fetching up to 100 blocks...`);
     
     const response = await notion.blocks.children.list({
-      block_id: pageId,
+      block_id: blockId,
       start_cursor: cursor,
       page_size: 100
     });
@@ -59,6 +185,25 @@ export async function getPageContent(notion, pageId) {
     cursor = response.next_cursor;
   }
   
-  console.log(`[LOG] Finished fetching blocks for page. Total blocks: ${blocks.length}`);
   return blocks;
-}
\ No newline at end of file
+}
+
+async function queryDatabasePages(notion, databaseId) {
+  const pages = [];
+  let hasMore = true;
+  let cursor = undefined;
+  
+  while (hasMore) {
+    const response = await notion.databases.query({
+      database_id: databaseId,
+      start_cursor: cursor,
+      page_size: 100
+    });
+    
+    pages.push(...response.results);
+    hasMore = response.has_more;
+    cursor = response.next_cursor;
+  }
+  
+  return pages;
+}
@@ -0,0 +1,266 @@
+import { getBlockFields, planBlockField, isBlockExcluded, READ_ONLY_BLOCK_TYPES } from './text-processor.js';
+import { getPageContent, getPageTitle } from './page-fetcher.js';
+import { getScopedPages } from './scope.js';
+import { getSearchableProperties, planPropertyReplacement } from './property-processor.js';
+import { hasLinkOperations } from './link-rewriter.js';
+
+export const DEFAULT_CONTEXT_LENGTH = 40;
+
+// Finds every match in a block the way processBlock would replace it and
+// returns it with the surrounding text, so it can be reviewed before a run.
+export function findBlockMatches(block, searchText, replaceText = null, options = {}) {
+  const contextLength = options.contextLength ?? DEFAULT_CONTEXT_LENGTH;
+  const matches = [];
+
+  for (const field of getBlockFields(block)) {
+    const plan = planBlockField(field, field.value, searchText, getPlanReplacement(replaceText, options), options);
+
+    for (const match of plan.matches) {
+      matches.push({
+        ...describeMatch(match, getShownReplacement(match, replaceText), contextLength, field.cell),
+        ...(!['rich_text', 'cells'].includes(field.key) && { field: field.key }),
+        ...(READ_ONLY_BLOCK_TYPES.includes(block.type) && { readOnly: true })
+      });
+    }
+  }
+
+  return matches;
+}
+
+// Turns a planned match into the reviewable before/after snippet shape
+export function describeMatch(match, replacement = match.replacement, contextLength = DEFAULT_CONTEXT_LENGTH, cell) {
+  return {
+    location: match.location,
+    ...(cell !== undefined && { cell }),
+    before: match.source.slice(Math.max(0, match.start - contextLength), match.start),
+    matched: match.matched,
+    replacement,
+    after: match.source.slice(match.end, match.end + contextLength)
+  };
+}
+
+export function findPropertyMatches(name, property, searchText, replaceText = null, options = {}) {
+  const contextLength = options.contextLength ?? DEFAULT_CONTEXT_LENGTH;
+  const plan = planPropertyReplacement(property, searchText, getPlanReplacement(replaceText, options), options);
+
+  return plan.matches.map(match => ({
+    property: name,
+    ...describeMatch(match, getShownReplacement(match, replaceText), contextLength)
+  }));
+}
+
+// Scans the workspace exactly like findAndReplaceInWorkspace, without writing
+export async function previewWorkspace(notion, searchText, replaceText = null, options = {}) {
+  const preview = createPreview(searchText, replaceText, options);
+  const syncedBlocks = new Set();
+  const visitedPages = new Set();
+
+  console.log('[LOG] Fetching all pages for dry-run...');
+  const pages = await getScopedPages(notion, options.scope);
+  preview.totalPages = pages.length;
+  console.log(`[LOG] Starting to scan ${pages.length} pages for occurrences...`);
+
+  for (let idx = 0; idx < pages.length; idx++) {
+    const page = pages[idx];
+    const pageTitle = getPageTitle(page);
+    console.log(`[LOG] Scanning page ${idx + 1}/${pages.length}: ${pageTitle}`);
+
+    const propertyMatches = [];
+    if (options.properties) {
+      const propertyNames = Array.isArray(options.properties) ? options.properties : null;
+      for (const [name, property] of getSearchableProperties(page, propertyNames)) {
+        propertyMatches.push(...findPropertyMatches(name, property, searchText, replaceText, options));
+      }
+    }
+
+    const blocks = options.propertiesOnly ? [] : await getPageContent(notion, page.id, {
+      recursive: options.recursive !== false,
+      maxDepth: options.maxDepth,
+      skipChildPages: !options.includeChildPages,
+      includeTableRows: true,
+      syncedBlocks,
+      visitedPages
+    });
+
+    // Excluded code blocks are still scanned so their matches can be counted
+    const blockMatches = blocks.map(block => ({
+      block,
+      excluded: isBlockExcluded(block, options),
+      matches: findBlockMatches(block, searchText, replaceText, options)
+    }));
+
+    addPageToPreview(preview, page, pageTitle, blockMatches, propertyMatches);
+  }
+
+  return preview;
+}
+
+export function getBlockUrl(page, block) {
+  const pageUrl = page.url || `https://www.notion.so/${page.id.replace(/-/g, '')}`;
+  return `${pageUrl}#${block.id.replace(/-/g, '')}`;
+}
+
+export function createPreview(searchText, replaceText, options = {}) {
+  return {
+    generatedAt: new Date().toISOString(),
+    parameters: {
+      search: searchText,
+      replace: replaceText,
+      regex: !!options.regex,
+      ignoreCase: !!options.ignoreCase,
+      multiline: !!options.multiline,
+      wholeWord: !!options.wholeWord,
+      preserveCase: !!options.preserveCase,
+      target: options.target || 'all',
+      ...(hasLinkOperations(options.linkOperations) && { linkOperations: options.linkOperations })
+    },
+    totalPages: 0,
+    totalMatches: 0,
+    // Code block matches by code.language, and those a run would leave alone
+    codeMatches: {},
+    excludedCodeMatches: {},
+    pages: []
+  };
+}
+
+export function addPageToPreview(preview, page, pageTitle, blockMatches, propertyMatches = []) {
+  const entry = {
+    pageId: page.id,
+    title: pageTitle,
+    url: page.url,
+    matches: [],
+    tableCellMatches: 0,
+    propertyMatches: propertyMatches.length,
+    codeMatches: {},
+    excludedCodeMatches: {}
+  };
+
+  for (const match of propertyMatches) {
+    entry.matches.push({
+      blockId: null,
+      blockType: 'property',
+      blockUrl: page.url,
+      ...match
+    });
+  }
+
+  for (const { block, matches, excluded } of blockMatches) {
+    if (block.type === 'code' && matches.length > 0) {
+      const language = block.code?.language || 'plain text';
+      const counts = excluded ? entry.excludedCodeMatches : entry.codeMatches;
+      const totals = excluded ? preview.excludedCodeMatches : preview.codeMatches;
+      counts[language] = (counts[language] || 0) + matches.length;
+      totals[language] = (totals[language] || 0) + matches.length;
+    }
+
+    if (excluded) continue;
+
+    for (const match of matches) {
+      entry.matches.push({
+        blockId: block.id,
+        blockType: block.type,
+        blockUrl: getBlockUrl(page, block),
+        ...(block.type === 'code' && { language: block.code?.language }),
+        ...match
+      });
+      if (block.type === 'table_row') {
+        entry.tableCellMatches++;
+      }
+    }
+  }
+
+  if (entry.matches.length > 0) {
+    preview.pages.push(entry);
+    preview.totalMatches += entry.matches.length;
+  }
+
+  return entry;
+}
+
+export function renderPreviewJson(preview) {
+  return JSON.stringify(preview, null, 2);
+}
+
+export function renderPreviewHtml(preview) {
+  const { parameters } = preview;
+  const pageSections = preview.pages.map(page => {
+    const rows = page.matches.map(match => `
+        <tr>
+          <td><a href="${escapeHtml(match.blockUrl || '')}">${escapeHtml(match.property || match.blockType)}</a>${match.cell !== undefined ? ` <span class="meta">cell ${match.cell + 1}</span>` : ''}${match.language ? ` <span class="meta">${escapeHtml(match.language)}</span>` : ''}${match.field ? ` <span class="meta">${escapeHtml(match.field)}</span>` : ''}</td>
+          <td>${escapeHtml(match.location)}</td>
+          <td class="before">${escapeHtml(match.before)}<del>${escapeHtml(match.matched)}</del>${escapeHtml(match.after)}</td>
+          <td class="after">${escapeHtml(match.before)}<ins>${escapeHtml(match.replacement ?? match.matched)}</ins>${escapeHtml(match.after)}</td>
+        </tr>`).join('');
+
+    return `
+    <section>
+      <h2><a href="${escapeHtml(page.url || '')}">${escapeHtml(page.title)}</a> <span class="meta">${page.matches.length} match(es)</span></h2>
+      <table>
+        <thead><tr><th>Block</th><th>Where</th><th>Before</th><th>After</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Find/replace preview: ${escapeHtml(parameters.search)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2rem; color: #37352f; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+    th, td { border: 1px solid #e9e9e7; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    td.before, td.after { font-family: SFMono-Regular, Menlo, monospace; font-size: 0.85rem; white-space: pre-wrap; }
+    del { background: #ffe2e0; }
+    ins { background: #dbf5e2; text-decoration: none; }
+    .meta { color: #9b9a97; font-size: 0.8rem; font-weight: normal; }
+  </style>
+</head>
+<body>
+  <h1>Find/replace preview</h1>
+  <p>
+    Search: <code>${escapeHtml(parameters.search)}</code>
+    → Replace: <code>${escapeHtml(parameters.replace ?? '')}</code>
+    ${parameters.regex ? '<span class="meta">(regex)</span>' : ''}
+  </p>
+  <p class="meta">${preview.totalMatches} match(es) in ${preview.pages.length} page(s) · generated ${escapeHtml(preview.generatedAt)}</p>${renderCodeSummaryHtml(preview)}${pageSections}
+</body>
+</html>
+`;
+}
+
+function renderCodeSummaryHtml(preview) {
+  const rows = [
+    ...Object.entries(preview.codeMatches).map(([language, count]) => [language, count, '']),
+    ...Object.entries(preview.excludedCodeMatches).map(([language, count]) => [language, count, 'excluded'])
+  ];
+
+  if (rows.length === 0) {
+    return '';
+  }
+
+  return `
+  <p class="meta">Code block matches: ${rows.map(([language, count, note]) =>
+    `${escapeHtml(language)} ${count}${note ? ` (${note})` : ''}`).join(' · ')}</p>`;
+}
+
+// Without a replacement every occurrence is listed, unless link operations
+// are set: then, as in a real run, only the links they rewrite can change
+function getPlanReplacement(replaceText, options) {
+  if (replaceText !== null) return replaceText;
+  return hasLinkOperations(options.linkOperations) ? null : '';
+}
+
+function getShownReplacement(match, replaceText) {
+  return replaceText === null && !match.linkOperation ? null : match.replacement;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,203 @@
+import {
+  planRichTextReplacement,
+  applyRichTextPlan,
+  findMatchesInString,
+  findMatchesInUrl,
+  applyMatchesToString,
+  targetIncludes
+} from './text-processor.js';
+
+export const SUPPORTED_PROPERTY_TYPES = [
+  'title',
+  'rich_text',
+  'url',
+  'email',
+  'phone_number',
+  'select',
+  'multi_select'
+];
+
+// URL properties count as links for --in; every other type counts as text
+export function planPropertyReplacement(property, searchText, replaceText, options = {}) {
+  const includeText = targetIncludes(options, 'text') && replaceText != null;
+  const stringMatches = (value, extra = {}) => !includeText ? [] :
+    findMatchesInString(value, searchText, replaceText, options)
+      .map(match => ({ location: 'property', source: value, ...extra, ...match }));
+
+  switch (property.type) {
+    case 'title':
+    case 'rich_text': {
+      const richTextPlan = planRichTextReplacement(property[property.type] || [], searchText, replaceText, options);
+      return { richTextPlan, matches: richTextPlan.matches };
+    }
+    case 'url':
+      if (!property.url || !targetIncludes(options, 'link')) {
+        return { matches: [] };
+      }
+      return {
+        matches: findMatchesInUrl(property.url, searchText, replaceText, options)
+          .map(match => ({ location: 'property', ...match }))
+      };
+    case 'email':
+    case 'phone_number':
+      return { matches: property[property.type] ? stringMatches(property[property.type]) : [] };
+    case 'select':
+      return { matches: property.select?.name ? stringMatches(property.select.name) : [] };
+    case 'multi_select':
+      return {
+        matches: (property.multi_select || []).flatMap((option, optionIndex) => stringMatches(option.name, { optionIndex }))
+      };
+    default:
+      return { matches: [] };
+  }
+}
+
+export function applyPropertyPlan(property, plan) {
+  const approved = plan.matches.filter(match => !match.skipped);
+  const count = approved.length;
+
+  if (count === 0) {
+    return { modified: false, count: 0 };
+  }
+
+  switch (property.type) {
+    case 'title':
+    case 'rich_text': {
+      const richText = property[property.type];
+      const { modified, updatedRichText } = applyRichTextPlan(richText, plan.richTextPlan);
+      return {
+        modified,
+        count,
+        before: { [property.type]: richText },
+        update: { [property.type]: updatedRichText }
+      };
+    }
+    case 'url':
+    case 'email':
+    case 'phone_number': {
+      const value = property[property.type];
+      const text = applyMatchesToString(value, approved);
+      return {
+        modified: text !== value,
+        count,
+        before: { [property.type]: value },
+        // Notion rejects empty strings for these types, null clears them
+        update: { [property.type]: text || null }
+      };
+    }
+    case 'select': {
+      const name = property.select.name;
+      const text = applyMatchesToString(name, approved);
+      return {
+        modified: text !== name,
+        count,
+        before: { select: { name } },
+        // Options are matched by name, so a new name selects (or creates) that option
+        update: { select: text ? { name: text } : null }
+      };
+    }
+    case 'multi_select': {
+      const names = property.multi_select.map(option => option.name);
+      const updatedNames = names.map((name, optionIndex) =>
+        applyMatchesToString(name, approved.filter(match => match.optionIndex === optionIndex))
+      );
+      return {
+        modified: updatedNames.some((name, index) => name !== names[index]),
+        count,
+        before: { multi_select: names.map(name => ({ name })) },
+        // Drop options that were renamed to nothing and collapse duplicates
+        update: { multi_select: [...new Set(updatedNames.filter(Boolean))].map(name => ({ name })) }
+      };
+    }
+    default:
+      return { modified: false, count: 0 };
+  }
+}
+
+export function searchAndReplaceInProperty(property, searchText, replaceText, options = {}) {
+  return applyPropertyPlan(property, planPropertyReplacement(property, searchText, replaceText, options));
+}
+
+export function getSearchableProperties(page, propertyNames = null) {
+  return Object.entries(page.properties || {})
+    .filter(([name, property]) => SUPPORTED_PROPERTY_TYPES.includes(property.type))
+    .filter(([name]) => !propertyNames || propertyNames.includes(name));
+}
+
+export async function processPageProperties(notion, page, searchText, replaceText, options = {}) {
+  const properties = getSearchableProperties(page, options.propertyNames);
+  const updates = {};
+  const changes = [];
+  let replacements = 0;
+  let skipped = 0;
+
+  console.log(`[LOG]   Scanning ${properties.length} properties on page ${page.id}`);
+
+  const rules = options.rules || [{ search: searchText, replace: replaceText }];
+  const ruleReplacements = {};
+
+  for (const [name, property] of properties) {
+    let current = property;
+    let before = null;
+    let count = 0;
+
+    // Chain rules the same way processBlock does: each sees the previous output
+    for (const rule of rules) {
+      const ruleOptions = rule.matchOptions ? { ...options, ...rule.matchOptions } : options;
+      const plan = planPropertyReplacement(current, rule.search, rule.replace, ruleOptions);
+
+      if (options.approveMatch) {
+        for (const match of plan.matches) {
+          if (!await options.approveMatch({ property: name, match, ...(options.rules && { rule }) })) {
+            match.skipped = true;
+            skipped++;
+          }
+        }
+      }
+
+      const result = applyPropertyPlan(current, plan);
+
+      if (result.modified) {
+        before = before || result.before;
+        current = { ...current, ...result.update };
+        count += result.count;
+        if (rule.id !== undefined) {
+          ruleReplacements[rule.id] = (ruleReplacements[rule.id] || 0) + result.count;
+        }
+      }
+    }
+
+    if (before) {
+      const update = { [property.type]: current[property.type] };
+      console.log(`[LOG]     ✓ Property "${name}" (${property.type}): ${count} replacement(s)`);
+      updates[name] = update;
+      changes.push({ name, type: property.type, before, after: update, count });
+      replacements += count;
+    }
+  }
+
+  if (changes.length === 0) {
+    return { modified: false, replacements: 0, skipped, properties: [], ...(options.rules && { ruleReplacements }) };
+  }
+
+  if (!options.dryRun) {
+    console.log(`[LOG]     Sending property update to Notion API for page ${page.id}`);
+    await notion.pages.update({
+      page_id: page.id,
+      properties: updates
+    });
+    console.log(`[LOG]     ✓ Page ${page.id} properties updated successfully`);
+
+    for (const change of changes) {
+      options.journal?.recordPropertyUpdate(page.id, change.name, change.before, change.after);
+    }
+  }
+
+  return {
+    modified: true,
+    replacements,
+    skipped,
+    ...(options.rules && { ruleReplacements }),
+    properties: changes.map(change => ({ name: change.name, type: change.type, count: change.count }))
+  };
+}
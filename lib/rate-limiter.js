@@ -0,0 +1,104 @@
+// Token bucket shared by every request a process makes. Notion allows an
+// average of three requests per second per integration; the bucket lets a
+// short burst through and then spaces requests out to that rate.
+//
+//   requestsPerSecond  refill rate (default 3)
+//   burst              bucket size, i.e. requests allowed back to back
+export function createRateLimiter({ requestsPerSecond = 3, burst = requestsPerSecond } = {}) {
+  if (!(requestsPerSecond > 0)) {
+    throw new Error(`Requests per second must be positive, got ${requestsPerSecond}`);
+  }
+
+  const interval = 1000 / requestsPerSecond;
+  const capacity = Math.max(1, burst);
+  const waiting = [];
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let timer = null;
+
+  function refill() {
+    const now = Date.now();
+    if (now <= lastRefill) return;
+    tokens = Math.min(capacity, tokens + (now - lastRefill) / interval);
+    lastRefill = now;
+  }
+
+  // Hands out tokens in request order; schedules itself again while
+  // requests are still waiting
+  function drain() {
+    timer = null;
+    refill();
+
+    const now = Date.now();
+    if (now < pausedUntil) {
+      schedule(pausedUntil - now);
+      return;
+    }
+
+    while (waiting.length > 0 && tokens >= 1) {
+      tokens--;
+      waiting.shift()();
+    }
+
+    if (waiting.length > 0) {
+      schedule((1 - tokens) * interval);
+    }
+  }
+
+  function schedule(delay) {
+    if (timer) return;
+    timer = setTimeout(drain, Math.ceil(delay));
+  }
+
+  return {
+    requestsPerSecond,
+
+    // Resolves once the caller may send one request
+    acquire() {
+      return new Promise(resolve => {
+        waiting.push(resolve);
+        drain();
+      });
+    },
+
+    // Holds back every caller, e.g. for the Retry-After of a 429. The bucket
+    // starts empty afterwards so waiting requests do not all fire at once.
+    pause(ms) {
+      const until = Date.now() + ms;
+      if (until <= pausedUntil) return;
+
+      pausedUntil = until;
+      tokens = 0;
+      lastRefill = until;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      if (waiting.length > 0) {
+        schedule(ms);
+      }
+    },
+
+    get pending() {
+      return waiting.length;
+    }
+  };
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(value, fallbackMs = 1000) {
+  if (value) {
+    const seconds = Number(value);
+    if (Number.isFinite(seconds) && seconds >= 0) {
+      return seconds * 1000;
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  return fallbackMs;
+}
@@ -0,0 +1,117 @@
+import { EventEmitter } from 'events';
+import { parseRetryAfter } from './rate-limiter.js';
+
+// Failures worth trying again, by category:
+//   rate_limited           429; waits for Retry-After when the response has one
+//   internal_server_error  500, 502, 503, 504 and Notion's service_unavailable
+//   conflict_error         409; another edit to the same object won the race
+//   network                resets, timeouts and DNS hiccups before any response
+// Everything else (validation errors, missing objects, bad tokens) fails at once.
+export const RETRYABLE_CATEGORIES = ['rate_limited', 'internal_server_error', 'conflict_error', 'network'];
+
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'notionhq_client_request_timeout'
+]);
+
+export const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+// Every retry (and every final give-up) is emitted here as well as passed to
+// onRetry, so a script can log or count them in one place:
+//   retryEvents.on('retry', event => ...)
+//   retryEvents.on('give_up', event => ...)
+export const retryEvents = new EventEmitter();
+
+export function classifyError(error) {
+  const code = error?.code;
+  const status = error?.status;
+
+  if (code === 'rate_limited' || status === 429) return 'rate_limited';
+  if (code === 'conflict_error' || status === 409) return 'conflict_error';
+  if (code === 'internal_server_error' || code === 'service_unavailable' || [500, 502, 503, 504].includes(status)) {
+    return 'internal_server_error';
+  }
+
+  // fetch reports network failures as "fetch failed" with the socket error as its cause
+  const networkCode = NETWORK_ERROR_CODES.has(code) ? code : error?.cause?.code;
+  // The OpenAI SDK wraps connection failures in its own error classes
+  const sdkConnectionError = ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error?.constructor?.name);
+  if (NETWORK_ERROR_CODES.has(networkCode) || sdkConnectionError) {
+    return 'network';
+  }
+
+  return null;
+}
+
+// Calls fn until it succeeds, retrying classified failures with exponential
+// backoff and jitter. `operation` names the call in retry events;
+// `categories` narrows which failures are retried.
+export async function withRetry(fn, options = {}) {
+  const { maxRetries, baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const operation = options.operation || 'request';
+  const categories = options.categories || RETRYABLE_CATEGORIES;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const classified = classifyError(error);
+      const category = categories.includes(classified) ? classified : null;
+      const event = {
+        operation,
+        category,
+        attempt: attempt + 1,
+        maxRetries,
+        code: error.code,
+        status: error.status,
+        message: error.message
+      };
+
+      if (!category || attempt >= maxRetries) {
+        if (category) {
+          retryEvents.emit('give_up', event);
+          options.onGiveUp?.(event);
+        }
+        throw error;
+      }
+
+      event.delayMs = getRetryDelay(error, category, attempt, { baseDelayMs, maxDelayMs });
+      console.log(`[LOG] ↻ ${operation} failed (${category}: ${error.message}); retry ${attempt + 1}/${maxRetries} in ${(event.delayMs / 1000).toFixed(1)}s`);
+      retryEvents.emit('retry', event);
+      options.onRetry?.(event);
+
+      await new Promise(resolve => setTimeout(resolve, event.delayMs));
+    }
+  }
+}
+
+export function getRetryDelay(error, category, attempt, { baseDelayMs, maxDelayMs } = DEFAULT_RETRY_OPTIONS) {
+  const retryAfter = getHeader(error?.headers, 'retry-after');
+  if (category === 'rate_limited' && retryAfter) {
+    return parseRetryAfter(retryAfter);
+  }
+
+  // Somewhere between half and all of the exponential delay, so parallel
+  // workers that failed together do not retry together
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Notion errors carry a fetch Headers object, other SDKs a plain object
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] ?? null;
+}
@@ -0,0 +1,242 @@
+import fs from 'fs';
+import { getAllPages, getPageTitle } from './page-fetcher.js';
+
+// Scope options (all optional, combined with AND):
+//   databaseId     only pages in this database
+//   parentPageId   only pages below this page, at any depth
+//   editedAfter    Date; last_edited_time strictly after
+//   editedBefore   Date; last_edited_time strictly before
+//   titlePattern   glob ("Weekly *") or /regex/flags matched against the page title
+//   pageIds        explicit list of page IDs (or a pageIdsFile to read them from)
+//
+// Everything is resolved from page metadata, so filtering happens before any
+// page content is fetched.
+export async function getScopedPages(notion, scope = {}) {
+  const pageIds = scope.pageIds || (scope.pageIdsFile ? readPageIdsFile(scope.pageIdsFile) : null);
+  let pages;
+
+  if (pageIds) {
+    console.log(`[LOG] Retrieving ${pageIds.length} pages from explicit page list...`);
+    pages = [];
+    for (const pageId of pageIds) {
+      pages.push(await notion.pages.retrieve({ page_id: pageId }));
+    }
+  } else if (scope.databaseId) {
+    pages = await getDatabasePages(notion, scope.databaseId, scope);
+  } else {
+    pages = await getAllPages(notion);
+  }
+
+  const filters = [];
+
+  if (scope.databaseId && pageIds) {
+    const databaseId = normalizeId(scope.databaseId);
+    filters.push(page => normalizeId(page.parent?.database_id || '') === databaseId);
+  }
+
+  if (scope.editedAfter) {
+    filters.push(page => new Date(page.last_edited_time) > scope.editedAfter);
+  }
+
+  if (scope.editedBefore) {
+    filters.push(page => new Date(page.last_edited_time) < scope.editedBefore);
+  }
+
+  if (scope.titlePattern) {
+    const titleRegex = compileTitlePattern(scope.titlePattern);
+    filters.push(page => titleRegex.test(getPageTitle(page)));
+  }
+
+  if (scope.parentPageId) {
+    // Without a page list or database the candidates are already every page
+    const isInSubtree = await buildSubtreeMatcher(notion, scope.parentPageId, pages, {
+      allPages: !pageIds && !scope.databaseId
+    });
+    filters.push(isInSubtree);
+  }
+
+  const scoped = pages.filter(page => filters.every(filter => filter(page)));
+
+  if (filters.length > 0 || pageIds || scope.databaseId) {
+    console.log(`[LOG] Scope filters kept ${scoped.length} of ${pages.length} pages`);
+  }
+
+  return scoped;
+}
+
+export function hasScope(scope = {}) {
+  return Boolean(
+    scope.databaseId || scope.parentPageId || scope.editedAfter || scope.editedBefore ||
+    scope.titlePattern || scope.pageIds || scope.pageIdsFile
+  );
+}
+
+export function describeScope(scope = {}) {
+  const parts = [];
+  if (scope.databaseId) parts.push(`database ${scope.databaseId}`);
+  if (scope.parentPageId) parts.push(`below page ${scope.parentPageId}`);
+  if (scope.editedAfter) parts.push(`edited after ${scope.editedAfter.toISOString()}`);
+  if (scope.editedBefore) parts.push(`edited before ${scope.editedBefore.toISOString()}`);
+  if (scope.titlePattern) parts.push(`title matching ${scope.titlePattern}`);
+  if (scope.pageIdsFile) parts.push(`pages listed in ${scope.pageIdsFile}`);
+  return parts.length > 0 ? parts.join(', ') : 'entire workspace';
+}
+
+// Accepts dashed or undashed IDs and full Notion URLs
+export function normalizeId(value) {
+  const compact = String(value).trim().replace(/-/g, '').toLowerCase();
+  // In URLs the ID ends the path; ?v= carries a view ID, not the page
+  const match = compact.split(/[?#]/)[0].match(/[0-9a-f]{32}$/);
+  return match ? match[0] : compact;
+}
+
+export function compileTitlePattern(pattern) {
+  const regexLiteral = pattern.match(/^\/(.+)\/([a-z]*)$/);
+
+  if (regexLiteral) {
+    try {
+      return new RegExp(regexLiteral[1], regexLiteral[2]);
+    } catch (error) {
+      throw new Error(`Invalid title pattern "${pattern}": ${error.message}`);
+    }
+  }
+
+  // Globs match the whole title, case-insensitively
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+export function readPageIdsFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  if (filePath.toLowerCase().endsWith('.json')) {
+    return JSON.parse(content).map(normalizeId);
+  }
+
+  return content
+    .split('\n')
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(Boolean)
+    .map(normalizeId);
+}
+
+async function getDatabasePages(notion, databaseId, scope) {
+  const pages = [];
+  let hasMore = true;
+  let cursor = undefined;
+
+  // Let Notion apply the date bounds; they are re-checked locally anyway
+  const conditions = [];
+  if (scope.editedAfter) {
+    conditions.push({ timestamp: 'last_edited_time', last_edited_time: { after: scope.editedAfter.toISOString() } });
+  }
+  if (scope.editedBefore) {
+    conditions.push({ timestamp: 'last_edited_time', last_edited_time: { before: scope.editedBefore.toISOString() } });
+  }
+  const filter = conditions.length === 0 ? undefined :
+                 conditions.length === 1 ? conditions[0] :
+                 { and: conditions };
+
+  console.log(`[LOG] Querying database ${databaseId} for pages...`);
+
+  while (hasMore) {
+    const response = await notion.databases.query({
+      database_id: databaseId,
+      start_cursor: cursor,
+      page_size: 100,
+      ...(filter && { filter })
+    });
+
+    pages.push(...response.results);
+    hasMore = response.has_more;
+    cursor = response.next_cursor;
+  }
+
+  console.log(`[LOG] Database ${databaseId} returned ${pages.length} pages`);
+  return pages;
+}
+
+// Walks each candidate's parent chain. Pages and databases come from search
+// metadata (databases sit between a page and its ancestors); pages inside
+// toggles, columns and other blocks have a block parent, which is looked up
+// with blocks.retrieve and cached.
+async function buildSubtreeMatcher(notion, parentPageId, candidatePages, { allPages = false } = {}) {
+  const rootId = normalizeId(parentPageId);
+  const parents = new Map();
+
+  const register = (object) => {
+    const parent = object.parent || {};
+    const parentId = parent.page_id || parent.database_id || parent.block_id || null;
+    parents.set(
+      normalizeId(object.id),
+      parentId ? { id: normalizeId(parentId), isBlock: Boolean(parent.block_id) } : null
+    );
+  };
+
+  const resolveParent = async (parent) => {
+    if (parent.isBlock && !parents.has(parent.id)) {
+      try {
+        register(await notion.blocks.retrieve({ block_id: parent.id }));
+      } catch (error) {
+        console.log(`[LOG] Could not look up parent block ${parent.id}: ${error.message}`);
+        parents.set(parent.id, null);
+      }
+    }
+    return parents.get(parent.id);
+  };
+
+  console.log(`[LOG] Building page tree to resolve subtree of ${parentPageId}...`);
+  if (!allPages) {
+    (await getAllPages(notion)).forEach(register);
+  }
+  candidatePages.forEach(register);
+  (await getAllDatabases(notion)).forEach(register);
+
+  const inSubtree = new Set();
+
+  for (const page of candidatePages) {
+    const seen = new Set();
+    let current = parents.get(normalizeId(page.id));
+
+    while (current && !seen.has(current.id)) {
+      if (current.id === rootId) {
+        inSubtree.add(normalizeId(page.id));
+        break;
+      }
+      seen.add(current.id);
+      current = await resolveParent(current);
+    }
+  }
+
+  return (page) => inSubtree.has(normalizeId(page.id));
+}
+
+async function getAllDatabases(notion) {
+  const databases = [];
+  let hasMore = true;
+  let cursor = undefined;
+
+  while (hasMore) {
+    const response = await notion.search({
+      filter: {
+        property: 'object',
+        value: 'database'
+      },
+      start_cursor: cursor,
+      page_size: 100
+    });
+
+    databases.push(...response.results);
+    hasMore = response.has_more;
+    cursor = response.next_cursor;
+  }
+
+  return databases;
+}
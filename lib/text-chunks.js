@@ -0,0 +1,72 @@
+// Splits text for APIs with an input limit (OpenAI TTS takes 4096
+// characters), preferring to break after a sentence, then at a space.
+export function splitTextIntoChunks(text, maxLength = 4000) {
+  if (text.length <= maxLength) {
+    return [text];
+  }
+
+  const chunks = [];
+  let currentPosition = 0;
+
+  while (currentPosition < text.length) {
+    let chunkEnd = Math.min(currentPosition + maxLength, text.length);
+
+    if (chunkEnd < text.length) {
+      // Look for sentence endings before the max length
+      let searchStart = Math.max(currentPosition, chunkEnd - 1000);
+      let bestSentenceEnd = -1;
+
+      // Search backwards from chunkEnd for sentence endings
+      for (let i = chunkEnd - 1; i > searchStart; i--) {
+        const char = text[i];
+        if (char === '.' || char === '!' || char === '?') {
+          // Check if this is likely a sentence end (followed by space, newline, or end of text)
+          if (i === text.length - 1 || text[i + 1] === ' ' || text[i + 1] === '\n' || text[i + 1] === '\r') {
+            bestSentenceEnd = i + 1;
+            break;
+          }
+        }
+      }
+
+      // If we found a sentence ending, use it
+      if (bestSentenceEnd > currentPosition) {
+        chunkEnd = bestSentenceEnd;
+      } else {
+        // If no sentence ending found in reasonable range, look further back
+        searchStart = Math.max(currentPosition, chunkEnd - 2000);
+        for (let i = chunkEnd - 1; i > searchStart; i--) {
+          const char = text[i];
+          if (char === '.' || char === '!' || char === '?') {
+            if (i === text.length - 1 || text[i + 1] === ' ' || text[i + 1] === '\n' || text[i + 1] === '\r') {
+              bestSentenceEnd = i + 1;
+              break;
+            }
+          }
+        }
+
+        if (bestSentenceEnd > currentPosition) {
+          chunkEnd = bestSentenceEnd;
+        } else {
+          // Last resort: find the last space to avoid breaking words
+          const lastSpace = text.lastIndexOf(' ', chunkEnd);
+          if (lastSpace > currentPosition) {
+            chunkEnd = lastSpace;
+          }
+        }
+      }
+    }
+
+    const chunk = text.substring(currentPosition, chunkEnd).trim();
+    if (chunk) {
+      chunks.push(chunk);
+    }
+
+    currentPosition = chunkEnd;
+    // Skip any whitespace at the start of the next chunk
+    while (currentPosition < text.length && (text[currentPosition] === ' ' || text[currentPosition] === '\n' || text[currentPosition] === '\r')) {
+      currentPosition++;
+    }
+  }
+
+  return chunks;
+}
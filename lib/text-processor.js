@@ -1,171 +1,735 @@
+import { hasLinkOperations, transformUrl } from './link-rewriter.js';
+import { normalizeId } from './scope.js';
+import { buildBlockUpdate } from './block-update.js';
+
+// Block types whose text lives in a single `rich_text` array
+export const RICH_TEXT_BLOCK_TYPES = [
+  'paragraph',
+  'heading_1',
+  'heading_2',
+  'heading_3',
+  'bulleted_list_item',
+  'numbered_list_item',
+  'toggle',
+  'quote',
+  'callout',
+  'to_do'
+];
+
+// Media blocks carry a caption, and a URL when the file is hosted elsewhere
+export const MEDIA_BLOCK_TYPES = ['image', 'video', 'file', 'pdf', 'audio'];
+
+// Notion returns link previews but does not let integrations update them
+export const READ_ONLY_BLOCK_TYPES = ['link_preview'];
+
+// Returns every rich text item in a block. Blocks whose content is a URL or
+// an equation expression get a single item standing in for that value, so
+// callers that only read text still see it.
 export function extractTextFromBlock(block) {
   const texts = [];
   console.log(`[LOG]     Extracting text from block type: ${block.type}`);
   
+  for (const field of getBlockFields(block)) {
+    switch (field.kind) {
+      case 'rich_text':
+        texts.push(...field.value);
+        break;
+      case 'url':
+        texts.push({
+          type: 'text',
+          text: { content: field.value, link: { url: field.value } },
+          plain_text: field.value,
+          href: field.value
+        });
+        break;
+      case 'expression':
+        texts.push({
+          type: 'equation',
+          equation: { expression: field.value },
+          plain_text: field.value
+        });
+        break;
+    }
+  }
+  
+  return texts;
+}
+
+// The independently matched parts of a block, each with the key it is
+// written back under. Table rows have one field per cell, so text never
+// runs from one column into the next.
+export function getBlockFields(block) {
+  const data = block[block.type] || {};
+  const fields = [];
+  const richText = (key, value) => fields.push({ key, kind: 'rich_text', value: value || [] });
+  
+  if (RICH_TEXT_BLOCK_TYPES.includes(block.type)) {
+    richText('rich_text', data.rich_text);
+    return fields;
+  }
+  
   switch (block.type) {
-    case 'paragraph':
-    case 'heading_1':
-    case 'heading_2':
-    case 'heading_3':
-    case 'bulleted_list_item':
-    case 'numbered_list_item':
-    case 'toggle':
-    case 'quote':
-    case 'callout':
-      if (block[block.type]?.rich_text) {
-        texts.push(...block[block.type].rich_text);
-      }
+    case 'code':
+      richText('rich_text', data.rich_text);
+      richText('caption', data.caption);
+      break;
+    case 'table_row':
+      (data.cells || []).forEach((cell, index) => {
+        fields.push({ key: 'cells', cell: index, kind: 'rich_text', value: cell });
+      });
       break;
-    case 'to_do':
-      if (block.to_do?.rich_text) {
-        texts.push(...block.to_do.rich_text);
+    case 'bookmark':
+    case 'embed':
+    case 'link_preview':
+      if (data.url) {
+        fields.push({ key: 'url', kind: 'url', value: data.url });
+      }
+      if (block.type !== 'link_preview') {
+        richText('caption', data.caption);
       }
       break;
-    case 'code':
-      if (block.code?.rich_text) {
-        texts.push(...block.code.rich_text);
+    case 'equation':
+      if (data.expression) {
+        fields.push({ key: 'expression', kind: 'expression', value: data.expression });
       }
       break;
-    case 'table_row':
-      if (block.table_row?.cells) {
-        for (const cell of block.table_row.cells) {
-          texts.push(...cell);
+    default:
+      if (MEDIA_BLOCK_TYPES.includes(block.type)) {
+        // Notion-hosted file URLs are signed and expire, so only external ones can change
+        if (data.type === 'external' && data.external?.url) {
+          fields.push({ key: 'url', kind: 'url', value: data.external.url });
         }
+        richText('caption', data.caption);
       }
-      break;
   }
   
-  return texts;
+  return fields;
 }
 
-export function searchAndReplaceInRichText(richTextArray, searchText, replaceText) {
-  let modified = false;
-  console.log(`[LOG]     Searching for "${searchText}" in rich text array with ${richTextArray.length} items`);
+// Plans the replacements in one block field, as planRichTextReplacement does
+// for rich text. URLs follow --in links and link operations; equation
+// expressions are only searched with the equations option.
+export function planBlockField(field, value, searchText, replaceText, options = {}) {
+  switch (field.kind) {
+    case 'rich_text':
+      return planRichTextReplacement(value, searchText, replaceText, options);
+    case 'url':
+      return {
+        matches: targetIncludes(options, 'link') ?
+          findMatchesInUrl(value, searchText, replaceText, options).map(match => ({ location: 'url', ...match })) :
+          []
+      };
+    case 'expression': {
+      const include = options.equations && targetIncludes(options, 'text') && replaceText != null;
+      return {
+        matches: include ?
+          findMatchesInString(value, searchText, replaceText, options).map(match => ({ location: 'equation', source: value, ...match })) :
+          []
+      };
+    }
+    default:
+      return { matches: [] };
+  }
+}
+
+export function applyBlockFieldPlan(field, value, plan) {
+  if (field.kind === 'rich_text') {
+    const { modified, updatedRichText, count, skipped } = applyRichTextPlan(value, plan);
+    return { modified, value: updatedRichText, count, skipped };
+  }
   
-  const updatedRichText = richTextArray.map(item => {
-    let updatedItem = { ...item };
+  const approved = plan.matches.filter(match => !match.skipped);
+  const updatedValue = applyMatchesToString(value, approved);
+  if (approved.length > 0) {
+    console.log(`[LOG]       ✓ Found and replaced in ${field.key}: "${value}" → "${updatedValue}"`);
+  }
+  return {
+    modified: updatedValue !== value,
+    value: updatedValue,
+    count: approved.length,
+    skipped: plan.matches.length - approved.length
+  };
+}
+
+// Which parts of rich text a replacement may touch: plain text content, link
+// URLs (text.link.url), or all of them. A text item's href is a read-only
+// copy of its link URL, so 'href' means the same as 'links'.
+export const REPLACEMENT_TARGETS = ['text', 'links', 'href', 'all'];
+
+export function targetIncludes(options, location) {
+  const target = options.target === 'href' ? 'links' : options.target || 'all';
+  const locationTarget = { text: 'text', link: 'links' }[location];
+  return target === 'all' || target === locationTarget;
+}
+
+export function buildSearchPattern(searchText, options = {}) {
+  let flags = 'g';
+  // Adapting the replacement's case is pointless if only one casing can match
+  if (options.ignoreCase || options.preserveCase) flags += 'i';
+  if (options.multiline) flags += 'm';
+  
+  const source = options.regex ? searchText : escapeRegExp(searchText);
+  
+  try {
+    if (options.wholeWord) {
+      return buildWholeWordPattern(source, flags);
+    }
+    return new RegExp(source, flags);
+  } catch (error) {
+    throw new Error(`Invalid search pattern "${searchText}": ${error.message}`);
+  }
+}
+
+// Adapts a replacement to the casing of the text it replaces: "colby" →
+// lower case, "COLBY" → UPPER CASE, "Colby" → Capitalized. Mixed casing
+// such as "McColby" leaves the replacement as typed.
+export function matchCase(replacement, matched) {
+  const letters = matched.replace(/[^\p{L}]/gu, '');
+  
+  if (!letters || letters.toUpperCase() === letters.toLowerCase()) {
+    return replacement;
+  }
+  if (letters.length > 1 && letters === letters.toUpperCase()) {
+    return replacement.toUpperCase();
+  }
+  if (letters === letters.toLowerCase()) {
+    return replacement.toLowerCase();
+  }
+  
+  const words = matched.split(/\s+/).filter(word => /\p{L}/u.test(word));
+  const isCapitalized = (word) => {
+    const rest = word.slice(1).replace(/[^\p{L}]/gu, '');
+    return word[0] === word[0].toUpperCase() && word[0] !== word[0].toLowerCase() && rest === rest.toLowerCase();
+  };
+  
+  if (!words.every(isCapitalized)) {
+    return replacement;
+  }
+  
+  const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+  // "Colby Jack" → every word capitalized; "Colby" → only the first letter
+  return words.length > 1 ?
+    replacement.split(/(\s+)/).map(capitalize).join('') :
+    capitalize(replacement);
+}
+
+export function countMatches(text, pattern) {
+  if (!text) return 0;
+  return (text.match(pattern) || []).length;
+}
+
+export function replaceInText(text, searchText, replaceText, options = {}) {
+  const matches = findMatchesInString(text, searchText, replaceText, options);
+  return { text: applyMatchesToString(text, matches), count: matches.length };
+}
+
+export function findMatchesInString(value, searchText, replaceText, options = {}) {
+  // A single plain segment gets the same matching and $1 expansion as body text
+  return findMatchesInRichText([{ type: 'text', text: { content: value } }], searchText, replaceText, options).matches;
+}
+
+// Matches in a URL, as for any string. With link operations the URL is
+// changed as a whole instead: the text replacement (if any) is applied, then
+// the host and query edits, and the result is a single match spanning the URL.
+export function findMatchesInUrl(url, searchText, replaceText, options = {}) {
+  const matches = findMatchesInString(url, searchText, replaceText ?? '', options);
+  
+  if (!hasLinkOperations(options.linkOperations)) {
+    return replaceText == null ? [] : matches.map(match => ({ source: url, ...match }));
+  }
+  
+  if (matches.length === 0) {
+    return [];
+  }
+  
+  const rewritten = replaceText == null ? url : applyMatchesToString(url, matches);
+  return [{
+    source: url,
+    start: 0,
+    end: url.length,
+    matched: url,
+    replacement: transformUrl(rewritten, options.linkOperations),
+    linkOperation: true
+  }];
+}
+
+export function applyMatchesToString(value, matches) {
+  let result = '';
+  let cursor = 0;
+  
+  for (const match of matches) {
+    result += value.slice(cursor, match.start) + match.replacement;
+    cursor = match.end;
+  }
+  
+  return result + value.slice(cursor);
+}
+
+// Notion splits text into runs whenever annotations or links change, so
+// matching is done on the concatenated text of the whole array and each
+// match is then mapped back onto the segments it covers.
+export function findMatchesInRichText(richTextArray, searchText, replaceText, options = {}) {
+  const pattern = buildSearchPattern(searchText, options);
+  const segments = [];
+  let fullText = '';
+  
+  richTextArray.forEach((item, index) => {
+    const content = getSegmentText(item);
+    segments.push({
+      index,
+      start: fullText.length,
+      end: fullText.length + content.length,
+      editable: item.type === 'text'
+    });
+    fullText += content;
+  });
+  
+  const matches = [];
+  pattern.lastIndex = 0;
+  let match;
+  
+  while ((match = pattern.exec(fullText)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    
+    // Avoid looping forever on zero-length matches
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+    }
     
-    // Process regular text content
-    if (item.type === 'text' && item.text?.content) {
-      const originalContent = item.text.content;
-      const newContent = originalContent.replace(new RegExp(escapeRegExp(searchText), 'g'), replaceText);
+    const covered = segments.filter(segment =>
+      segment.start < end && segment.end > start
+    );
+    
+    // Mentions and equations can't be rewritten as plain text
+    if (covered.some(segment => !segment.editable)) {
+      console.log(`[LOG]       ⏭ Skipping match "${match[0]}" that overlaps a non-text segment`);
+      continue;
+    }
+    
+    const owner = segments.find(segment => start >= segment.start && start < segment.end && segment.editable) ||
+                  (start === fullText.length ? [...segments].reverse().find(segment => segment.editable) : undefined);
+    
+    if (!owner) continue;
+    
+    matches.push({
+      start,
+      end,
+      matched: match[0],
+      replacement: getReplacement(replaceText, match, options),
+      segmentIndex: owner.index
+    });
+  }
+  
+  return { text: fullText, segments, matches };
+}
+
+export function applyMatchesToRichText(richTextArray, segments, text, matches) {
+  const updatedRichText = [];
+  
+  for (const segment of segments) {
+    const item = richTextArray[segment.index];
+    const relevant = matches.filter(match =>
+      match.segmentIndex === segment.index ||
+      (match.start < segment.end && match.end > segment.start)
+    );
+    
+    if (relevant.length === 0 || !segment.editable) {
+      updatedRichText.push(item);
+      continue;
+    }
+    
+    let content = '';
+    let cursor = segment.start;
+    
+    for (const match of relevant) {
+      const cutStart = Math.max(match.start, segment.start);
+      const cutEnd = Math.min(match.end, segment.end);
       
-      if (originalContent !== newContent) {
-        modified = true;
-        console.log(`[LOG]       ✓ Found and replaced in text content: "${searchText}" → "${replaceText}"`);
-        updatedItem = {
-          ...item,
-          text: {
-            ...item.text,
-            content: newContent
-          }
-        };
+      content += text.slice(cursor, cutStart);
+      if (match.segmentIndex === segment.index) {
+        content += match.replacement;
       }
+      cursor = Math.max(cursor, cutEnd);
     }
     
-    // Process link URLs
-    if (item.type === 'text' && item.text?.link?.url) {
-      const originalUrl = item.text.link.url;
-      const newUrl = originalUrl.replace(new RegExp(escapeRegExp(searchText), 'g'), replaceText);
-      
-      if (originalUrl !== newUrl) {
-        modified = true;
-        console.log(`[LOG]       ✓ Found and replaced in link URL: "${searchText}" → "${replaceText}"`);
-        console.log(`[LOG]         Original URL: ${originalUrl}`);
-        console.log(`[LOG]         New URL: ${newUrl}`);
-        updatedItem = {
-          ...updatedItem,
-          text: {
-            ...updatedItem.text,
-            link: {
-              ...item.text.link,
-              url: newUrl
-            }
-          }
-        };
+    content += text.slice(cursor, segment.end);
+    
+    // Segments swallowed entirely by a match started elsewhere disappear
+    if (content.length === 0) continue;
+    
+    updatedRichText.push({
+      ...item,
+      text: {
+        ...item.text,
+        content
+      },
+      ...(item.plain_text !== undefined && { plain_text: content })
+    });
+  }
+  
+  return updatedRichText;
+}
+
+// Collects every replacement searchAndReplaceInRichText would make, without
+// applying it. Callers can mark matches as skipped before applyRichTextPlan.
+export function planRichTextReplacement(richTextArray, searchText, replaceText, options = {}) {
+  // Regular text content, matched across segment boundaries. Without a
+  // replacement only link operations can apply, so text is left alone.
+  const { text, segments, matches } = findMatchesInRichText(richTextArray, searchText, replaceText ?? '', options);
+  const includeText = targetIncludes(options, 'text') && replaceText != null;
+  const plan = {
+    text,
+    segments,
+    matches: includeText ? matches.map(match => ({ location: 'text', source: text, ...match })) : []
+  };
+  
+  richTextArray.forEach((item, itemIndex) => {
+    // Link URLs. The item's href mirrors the URL and is rebuilt by Notion,
+    // so it is not matched on its own; mention hrefs are read-only.
+    if (item.type === 'text' && item.text?.link?.url && targetIncludes(options, 'link')) {
+      for (const match of findMatchesInUrl(item.text.link.url, searchText, replaceText, options)) {
+        plan.matches.push({ location: 'link', itemIndex, ...match });
       }
     }
     
-    // Process href (for databases and other link types)
-    if (item.href) {
-      const originalHref = item.href;
-      const newHref = originalHref.replace(new RegExp(escapeRegExp(searchText), 'g'), replaceText);
-      
-      if (originalHref !== newHref) {
-        modified = true;
-        console.log(`[LOG]       ✓ Found and replaced in href: "${searchText}" → "${replaceText}"`);
-        updatedItem = {
-          ...updatedItem,
-          href: newHref
-        };
+    // Inline equation expressions count as text, but only when asked for:
+    // a rename can easily turn valid LaTeX into an error
+    if (item.type === 'equation' && item.equation?.expression && options.equations && includeText) {
+      const expression = item.equation.expression;
+      for (const match of findMatchesInString(expression, searchText, replaceText, options)) {
+        plan.matches.push({ location: 'equation', itemIndex, source: expression, ...match });
       }
     }
+  });
+  
+  return plan;
+}
+
+export function applyRichTextPlan(richTextArray, plan) {
+  const approved = plan.matches.filter(match => !match.skipped);
+  const byLocation = (location, itemIndex) => approved.filter(match =>
+    match.location === location && match.itemIndex === itemIndex
+  );
+  
+  // Links first: they are addressed by item index, which text replacement
+  // can shift by dropping segments a match swallowed
+  let updatedRichText = richTextArray.map((item, itemIndex) => {
+    let updatedItem = item;
+    
+    const linkMatches = byLocation('link', itemIndex);
+    if (linkMatches.length > 0) {
+      const originalUrl = item.text.link.url;
+      const newUrl = applyMatchesToString(originalUrl, linkMatches);
+      console.log(`[LOG]       ✓ Found and replaced in link URL: "${linkMatches[0].matched}" → "${linkMatches[0].replacement}"`);
+      console.log(`[LOG]         Original URL: ${originalUrl}`);
+      console.log(`[LOG]         New URL: ${newUrl}`);
+      updatedItem = {
+        ...updatedItem,
+        text: {
+          ...updatedItem.text,
+          link: {
+            ...item.text.link,
+            url: newUrl
+          }
+        },
+        ...(item.href !== undefined && { href: newUrl })
+      };
+    }
+    
+    const equationMatches = byLocation('equation', itemIndex);
+    if (equationMatches.length > 0) {
+      const expression = applyMatchesToString(item.equation.expression, equationMatches);
+      console.log(`[LOG]       ✓ Found and replaced in equation: "${item.equation.expression}" → "${expression}"`);
+      updatedItem = {
+        ...updatedItem,
+        equation: {
+          ...item.equation,
+          expression
+        },
+        ...(item.plain_text !== undefined && { plain_text: expression })
+      };
+    }
     
     return updatedItem;
   });
   
-  return { modified, updatedRichText };
+  const textMatches = approved.filter(match => match.location === 'text');
+  if (textMatches.length > 0) {
+    console.log(`[LOG]       ✓ Found and replaced ${textMatches.length} occurrence(s) in text content`);
+    updatedRichText = applyMatchesToRichText(updatedRichText, plan.segments, plan.text, textMatches);
+  }
+  
+  return {
+    modified: approved.some(match => match.replacement !== match.matched),
+    updatedRichText,
+    count: approved.length,
+    skipped: plan.matches.length - approved.length
+  };
+}
+
+export function searchAndReplaceInRichText(richTextArray, searchText, replaceText, options = {}) {
+  console.log(`[LOG]     Searching for "${searchText}" in rich text array with ${richTextArray.length} items`);
+  const plan = planRichTextReplacement(richTextArray, searchText, replaceText, options);
+  const { modified, updatedRichText, count } = applyRichTextPlan(richTextArray, plan);
+  return { modified, updatedRichText, count };
+}
+
+// Mentions point at other objects by ID. Retargeting swaps those IDs, e.g.
+// from an archived page to the page that replaced it.
+export const RETARGETABLE_MENTION_TYPES = ['page', 'database', 'user'];
+
+// Builds the lookup retargetMentionsInRichText uses from { fromId: toId }
+// pairs. IDs may be given with or without dashes, or as Notion URLs.
+export function createMentionTargets(pairs) {
+  const targets = new Map();
+  for (const [fromId, toId] of Object.entries(pairs)) {
+    targets.set(normalizeId(fromId), normalizeId(toId));
+  }
+  return targets;
+}
+
+export function retargetMentionsInRichText(richTextArray, targets) {
+  let count = 0;
+  
+  const updatedRichText = richTextArray.map(item => {
+    const mentionType = item.type === 'mention' ? item.mention?.type : null;
+    if (!RETARGETABLE_MENTION_TYPES.includes(mentionType)) {
+      return item;
+    }
+    
+    const currentId = item.mention[mentionType]?.id;
+    const targetId = currentId && targets.get(normalizeId(currentId));
+    if (!targetId || targetId === normalizeId(currentId)) {
+      return item;
+    }
+    
+    console.log(`[LOG]       ✓ Retargeted ${mentionType} mention: ${currentId} → ${targetId}`);
+    count++;
+    
+    // href and plain_text describe the old target; Notion fills them in again
+    const { href, ...rest } = item;
+    return {
+      ...rest,
+      mention: {
+        type: mentionType,
+        [mentionType]: { id: targetId }
+      }
+    };
+  });
+  
+  return { modified: count > 0, updatedRichText, count };
+}
+
+function getReplacement(replaceText, match, options) {
+  const replacement = options.regex ? expandReplacement(replaceText, match) : replaceText;
+  return options.preserveCase ? matchCase(replacement, match[0]) : replacement;
+}
+
+// Letters, digits and underscores on either side mean the match is part of a
+// longer word. The Unicode-aware form needs the u flag, which rejects some
+// patterns that are otherwise valid, so fall back to ASCII word characters.
+function buildWholeWordPattern(source, flags) {
+  try {
+    return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`, flags + 'u');
+  } catch (error) {
+    return new RegExp(`(?<!\\w)(?:${source})(?!\\w)`, flags);
+  }
+}
+
+function getSegmentText(item) {
+  if (item.type === 'text') {
+    return item.text?.content ?? '';
+  }
+  return item.plain_text ?? '';
+}
+
+// Expands $1, $<name>, $&, $` , $' and $$ the same way String.replace does
+function expandReplacement(template, match) {
+  const input = match.input;
+  const start = match.index;
+  const end = start + match[0].length;
+  
+  return template.replace(/\$(\$|&|`|'|<([^>]*)>|(\d{1,2}))/g, (token, symbol, name, digits) => {
+    if (symbol === '$') return '$';
+    if (symbol === '&') return match[0];
+    if (symbol === '`') return input.slice(0, start);
+    if (symbol === "'") return input.slice(end);
+    if (name !== undefined) {
+      if (!match.groups) return token;
+      return match.groups[name] ?? '';
+    }
+    
+    // Prefer two-digit groups when they exist, like String.replace
+    let groupIndex = parseInt(digits, 10);
+    let rest = '';
+    if (groupIndex >= match.length && digits.length === 2) {
+      groupIndex = parseInt(digits[0], 10);
+      rest = digits[1];
+    }
+    if (groupIndex === 0 || groupIndex >= match.length) return token;
+    return (match[groupIndex] ?? '') + rest;
+  });
 }
 
 function escapeRegExp(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-export async function processBlock(notion, block, searchText, replaceText) {
+// Code samples are easy to break with a workspace-wide rename, so they can
+// be left out entirely (excludeCode) or limited to some code.language values
+export function isBlockExcluded(block, options = {}) {
+  if (block.type !== 'code') {
+    return false;
+  }
+  if (options.excludeCode) {
+    return true;
+  }
+  if (options.codeLanguages?.length > 0) {
+    return !options.codeLanguages.includes(block.code?.language);
+  }
+  return false;
+}
+
+export async function processBlock(notion, block, searchText, replaceText, options = {}) {
   console.log(`[LOG]   Processing block ID: ${block.id}, Type: ${block.type}`);
-  const textArray = extractTextFromBlock(block);
   
-  if (textArray.length === 0) {
+  if (isBlockExcluded(block, options)) {
+    console.log(`[LOG]     ⏭ Skipping excluded code block (language: ${block.code?.language})`);
+    return { modified: false, excluded: true };
+  }
+  
+  const fields = getBlockFields(block);
+  
+  if (fields.every(field => field.kind === 'rich_text' ? field.value.length === 0 : !field.value)) {
     console.log(`[LOG]     No text found in block`);
     return { modified: false };
   }
   
-  const { modified, updatedRichText } = searchAndReplaceInRichText(textArray, searchText, replaceText);
+  // A mapping file supplies several rules; each one sees the text the
+  // previous rules produced, and the block is updated once at the end
+  const rules = options.rules || (searchText ? [{ search: searchText, replace: replaceText }] : []);
+  const results = fields.map(field => ({ value: field.value, modified: false, count: 0 }));
+  const ruleReplacements = {};
+  let skipped = 0;
+  
+  for (const rule of rules) {
+    const ruleOptions = rule.matchOptions ? { ...options, ...rule.matchOptions } : options;
+    const plans = fields.map((field, index) => planBlockField(field, results[index].value, rule.search, rule.replace, ruleOptions));
+    
+    // Interactive runs decide match by match; rejected matches are left as they are
+    if (options.approveMatch) {
+      for (let index = 0; index < plans.length; index++) {
+        for (const match of plans[index].matches) {
+          const approved = await options.approveMatch({
+            block,
+            match,
+            ...(options.rules && { rule }),
+            ...(fields[index].cell !== undefined && { cell: fields[index].cell }),
+            ...(!['rich_text', 'cells'].includes(fields[index].key) && { field: fields[index].key })
+          });
+          if (!approved) {
+            match.skipped = true;
+          }
+        }
+      }
+    }
+    
+    plans.forEach((plan, index) => {
+      const applied = applyBlockFieldPlan(fields[index], results[index].value, plan);
+      skipped += applied.skipped;
+      if (applied.count > 0) {
+        results[index] = {
+          value: applied.value,
+          modified: results[index].modified || applied.modified,
+          count: results[index].count + applied.count
+        };
+        if (rule.id !== undefined) {
+          ruleReplacements[rule.id] = (ruleReplacements[rule.id] || 0) + applied.count;
+        }
+      }
+    });
+  }
   
-  if (!modified) {
+  let mentionRetargets = 0;
+  if (options.mentionTargets) {
+    results.forEach((result, index) => {
+      if (fields[index].kind !== 'rich_text') return;
+      const retargeted = retargetMentionsInRichText(result.value, options.mentionTargets);
+      if (retargeted.modified) {
+        results[index] = {
+          value: retargeted.updatedRichText,
+          modified: true,
+          count: result.count + retargeted.count
+        };
+        mentionRetargets += retargeted.count;
+      }
+    });
+  }
+  
+  const replacements = results.reduce((sum, result) => sum + result.count, 0);
+  
+  if (!results.some(result => result.modified)) {
     console.log(`[LOG]     No matches found in block`);
-    return { modified: false };
+    return { modified: false, skipped };
   }
   
-  console.log(`[LOG]     Text modifications found, updating block...`);
+  if (READ_ONLY_BLOCK_TYPES.includes(block.type)) {
+    console.log(`[LOG]     ⏭ ${block.type} blocks cannot be updated through the API; leaving block ${block.id} as it is`);
+    return { modified: false, skipped, readOnly: true };
+  }
   
-  const updateData = {};
+  console.log(`[LOG]     Text modifications found, updating block...`);
   
-  switch (block.type) {
-    case 'paragraph':
-    case 'heading_1':
-    case 'heading_2':
-    case 'heading_3':
-    case 'bulleted_list_item':
-    case 'numbered_list_item':
-    case 'toggle':
-    case 'quote':
-    case 'callout':
-      updateData[block.type] = { rich_text: updatedRichText };
-      break;
-    case 'to_do':
-      updateData.to_do = { 
-        rich_text: updatedRichText,
-        checked: block.to_do.checked 
-      };
-      break;
-    case 'code':
-      updateData.code = { 
-        rich_text: updatedRichText,
-        language: block.code.language 
-      };
-      break;
+  if (block.type === 'table_row') {
+    results.forEach((result, index) => {
+      if (result.count > 0) {
+        console.log(`[LOG]     ✓ Table cell ${index + 1}: ${result.count} replacement(s)`);
+      }
+    });
   }
   
+  const changes = {};
+  fields.forEach((field, index) => {
+    if (field.key === 'cells') {
+      changes.cells = changes.cells || [];
+      changes.cells[field.cell] = results[index].value;
+    } else if (results[index].modified) {
+      changes[field.key] = results[index].value;
+    }
+  });
+  
+  const updateData = buildBlockUpdate(block, changes);
+  
   if (Object.keys(updateData).length > 0) {
-    console.log(`[LOG]     Sending update request to Notion API for block ${block.id}`);
-    await notion.blocks.update({
-      block_id: block.id,
-      ...updateData
-    });
-    console.log(`[LOG]     ✓ Block ${block.id} updated successfully`);
-    return { modified: true, blockId: block.id };
+    if (options.dryRun) {
+      console.log(`[LOG]     Dry run: not updating block ${block.id}`);
+    } else {
+      await sendBlockUpdate(notion, block, updateData, options);
+    }
+    return {
+      modified: true,
+      blockId: block.id,
+      replacements,
+      skipped,
+      ...(options.rules && { ruleReplacements }),
+      ...(options.mentionTargets && { mentionRetargets }),
+      ...(block.type === 'table_row' && {
+        tableCellReplacements: replacements,
+        modifiedCells: results.filter(result => result.modified).length
+      })
+    };
   }
   
-  return { modified: false };
-}
\ No newline at end of file
+  return { modified: false, skipped };
+}
+
+async function sendBlockUpdate(notion, block, updateData, options) {
+  console.log(`[LOG]     Sending update request to Notion API for block ${block.id}`);
+  await notion.blocks.update({
+    block_id: block.id,
+    ...updateData
+  });
+  console.log(`[LOG]     ✓ Block ${block.id} updated successfully`);
+  options.journal?.recordBlockUpdate(block, updateData);
+}
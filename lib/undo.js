@@ -0,0 +1,135 @@
+import { readJournal, createJournal, markRunUndone } from './journal.js';
+import { buildBlockUpdate, toAppendableBlock } from './block-update.js';
+import { appendBlockTree } from './block-converter.js';
+
+export async function undoRun(notion, runId, options = {}) {
+  const { dryRun = false, force = false, onProgress = null } = options;
+  const entries = readJournal(runId);
+  const header = entries.find(entry => entry.action === 'run_started');
+
+  if (entries.some(entry => entry.action === 'run_undone') && !force) {
+    throw new Error(`Run ${runId} has already been undone (use --force to replay the undo)`);
+  }
+
+  const changes = entries
+    .filter(entry => ['block_update', 'block_create', 'block_delete', 'property_update'].includes(entry.action))
+    .reverse();
+
+  const results = {
+    runId,
+    operation: header?.operation,
+    total: changes.length,
+    restored: 0,
+    failed: 0,
+    errors: []
+  };
+
+  // Re-created blocks get new IDs, and later (earlier in the run) entries may
+  // use them as anchors, so track old → new as we go
+  const idMap = new Map();
+  const resolveId = (id) => idMap.get(id) || id;
+  const undoJournal = dryRun ? null : createJournal('undo', { runId });
+
+  for (let i = 0; i < changes.length; i++) {
+    const entry = changes[i];
+
+    if (onProgress) {
+      onProgress(i + 1, changes.length, entry);
+    }
+
+    console.log(`[LOG] Undoing ${entry.action} #${entry.seq} (${entry.blockId || entry.pageId})`);
+
+    if (dryRun) {
+      results.restored++;
+      continue;
+    }
+
+    try {
+      switch (entry.action) {
+        case 'block_update': {
+          const block_id = resolveId(entry.blockId);
+          const { type } = entry.before;
+          // Snapshots are API responses; only their writable fields are sent back
+          await notion.blocks.update({
+            block_id,
+            ...buildBlockUpdate(entry.before)
+          });
+          undoJournal.recordBlockUpdate(
+            { id: block_id, type, [type]: { ...entry.before[type], ...entry.after?.[type] } },
+            { [type]: entry.before[type] }
+          );
+          break;
+        }
+        case 'block_create': {
+          const block_id = resolveId(entry.blockId);
+          try {
+            await notion.blocks.delete({ block_id });
+          } catch (error) {
+            // A conversion that failed part-way removes its new block itself
+            if (!isAlreadyDeleted(error)) throw error;
+            console.log(`[LOG] Block ${block_id} was already removed`);
+            break;
+          }
+          undoJournal.recordBlockDelete({ ...entry.after, id: block_id }, entry.parentId, null);
+          break;
+        }
+        case 'block_delete': {
+          const response = await notion.blocks.children.append({
+            block_id: resolveId(entry.parentId),
+            children: [toAppendableBlock(entry.before)],
+            ...(entry.afterId && { after: resolveId(entry.afterId) })
+          });
+          const restoredId = response.results?.[0]?.id;
+          // Nested blocks converted earlier in the run were copied into
+          // this block's snapshot; mapping their IDs lets the entries for
+          // them find the re-created copies
+          if (restoredId && entry.before.children?.length) {
+            await appendBlockTree(notion, restoredId, entry.before.children, idMap);
+          }
+          if (restoredId) {
+            idMap.set(entry.blockId, restoredId);
+            undoJournal.recordBlockCreate(restoredId, entry.parentId, response.results[0]);
+          }
+          break;
+        }
+        case 'property_update':
+          await notion.pages.update({
+            page_id: entry.pageId,
+            properties: {
+              [entry.property]: entry.before
+            }
+          });
+          undoJournal.recordPropertyUpdate(entry.pageId, entry.property, entry.after, entry.before);
+          break;
+      }
+
+      results.restored++;
+    } catch (error) {
+      console.log(`[LOG] ✗ Failed to undo ${entry.action} #${entry.seq}: ${error.message}`);
+      results.failed++;
+      results.errors.push({
+        seq: entry.seq,
+        action: entry.action,
+        id: entry.blockId || entry.pageId,
+        error: error.message
+      });
+    }
+  }
+
+  if (!dryRun) {
+    results.undoRunId = undoJournal.runId;
+    markRunUndone(runId, {
+      undoRunId: undoJournal.runId,
+      restored: results.restored,
+      failed: results.failed
+    });
+  }
+
+  return results;
+}
+
+// Deleting a block that is already archived fails, with a 404 or a
+// validation error depending on how it was archived
+function isAlreadyDeleted(error) {
+  return error.code === 'object_not_found' || /archived/i.test(error.message || '');
+}
@@ -0,0 +1,31 @@
+export const DEFAULT_CONCURRENCY = 3;
+
+// Runs worker(item, index) over items with at most `concurrency` calls in
+// flight, and resolves to the results in item order. Workers are expected
+// to handle their own errors; a thrown error stops new items from starting
+// and rejects once the running ones finish.
+export async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(concurrency || DEFAULT_CONCURRENCY, items.length));
+  let next = 0;
+  let failure = null;
+
+  async function runWorker() {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: limit }, runWorker));
+
+  if (failure) {
+    throw failure;
+  }
+
+  return results;
+}
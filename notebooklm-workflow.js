@@ -1,4 +1,4 @@
-import { Client } from '@notionhq/client';
+import { createNotionClient } from './lib/notion-client.js';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
 import ora from 'ora';
@@ -12,9 +12,7 @@ const __dirname = dirname(__filename);
 
 dotenv.config();
 
-const notion = new Client({
-  auth: process.env.NOTION_API_KEY,
-});
+const notion = createNotionClient();
 
 class NotebookLMWorkflow {
   constructor() {
@@ -1,4 +1,4 @@
-import { Client } from '@notionhq/client';
+import { createNotionClient } from './lib/notion-client.js';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
 import ora from 'ora';
@@ -7,9 +7,8 @@ import path from 'path';
 
 dotenv.config();
 
-const notion = new Client({
-  auth: process.env.NOTION_API_KEY,
-});
+// Created in main() once the API key has been checked
+let notion;
 
 async function findBlogsDatabase() {
   const spinner = ora('Searching for Blogs database...').start();
@@ -273,6 +272,8 @@ async function main() {
     process.exit(1);
   }
 
+  notion = createNotionClient();
+
   const databaseId = await findBlogsDatabase();
   if (!databaseId) {
     console.error(chalk.red('Failed to find Blogs database'));
@@ -0,0 +1,434 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  convertBlockType,
+  batchConvertBlocks,
+  findBlocksOfType,
+  planBlockConversion,
+  getConversionLosses,
+  convertWorkspaceBlocks,
+  CONVERTIBLE_BLOCK_TYPES
+} from '../lib/block-converter.js';
+import { createFakeNotionClient, loadWorkspaceFixture } from '../lib/fake-notion-client.js';
+import { convertQuotesToText } from '../convert-quotes-to-text.js';
+import { convertCheckboxesToBullets } from '../convert-checkboxes-to-bullets.js';
+import { createJournal } from '../lib/journal.js';
+import { undoRun } from '../lib/undo.js';
+
+const loadWorkspace = () => createFakeNotionClient(
+  loadWorkspaceFixture(new URL('./fixtures/workspace.json', import.meta.url))
+);
+
+const QUOTES_PAGE = 'a0000000-0000-4000-8000-000000000001';
+const TEAM_NOTES = 'b0000000-0000-4000-8000-000000000019';
+const QUOTE = 'b0000000-0000-4000-8000-000000000012';
+const DONE_TASK = 'b0000000-0000-4000-8000-000000000013';
+const OPEN_TASK = 'b0000000-0000-4000-8000-000000000014';
+const TOGGLE = 'b0000000-0000-4000-8000-000000000015';
+const CODE = 'b0000000-0000-4000-8000-00000000001a';
+
+const plain = (richText) => richText.map(item => item.plain_text).join('');
+
+let journalDir;
+
+before(() => {
+  journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notion-journal-'));
+  process.env.NOTION_JOURNAL_DIR = journalDir;
+});
+
+after(() => {
+  fs.rmSync(journalDir, { recursive: true, force: true });
+});
+
+test('convertBlockType re-creates the block as the new type in place', async () => {
+  const notion = loadWorkspace();
+
+  const result = await convertBlockType(notion, DONE_TASK, 'to_do', 'bulleted_list_item', { force: true });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.losses, ['checked state']);
+  assert.equal(notion.getBlock(DONE_TASK).archived, true);
+
+  const children = notion.getChildren(QUOTES_PAGE);
+  const index = children.findIndex(block => block.id === result.newBlockId);
+  assert.equal(children[index - 1].type, 'quote');
+  assert.equal(children[index].type, 'bulleted_list_item');
+  assert.equal(plain(children[index].bulleted_list_item.rich_text), 'Ship the Acme release');
+  assert.equal(children[index].bulleted_list_item.color, 'red');
+});
+
+test('convertBlockType refuses mismatched and unsupported conversions', async () => {
+  const notion = loadWorkspace();
+
+  const wrongType = await convertBlockType(notion, DONE_TASK, 'quote', 'paragraph');
+  assert.equal(wrongType.success, false);
+  assert.match(wrongType.error, /not of type quote/);
+
+  const unsupported = await convertBlockType(notion, DONE_TASK, 'to_do', 'table');
+  assert.equal(unsupported.success, false);
+  assert.match(unsupported.error, /not supported/);
+
+  const missing = await convertBlockType(notion, 'no-such-block', 'to_do', 'bulleted_list_item');
+  assert.equal(missing.success, false);
+  assert.equal(notion.calls.filter(call => call.method === 'blocks.delete').length, 0);
+});
+
+test('every convertible type can become every other one', () => {
+  const source = (type) => ({
+    id: `${type}-block`,
+    type,
+    has_children: false,
+    [type]: { rich_text: [{ type: 'text', text: { content: 'Text' }, plain_text: 'Text' }] }
+  });
+
+  for (const fromType of CONVERTIBLE_BLOCK_TYPES) {
+    for (const toType of CONVERTIBLE_BLOCK_TYPES) {
+      const plan = planBlockConversion(source(fromType), toType);
+
+      if (fromType === toType) {
+        assert.match(plan.error, /already of type/);
+        continue;
+      }
+      assert.equal(plan.error, undefined, `${fromType} -> ${toType}`);
+      assert.equal(plan.block.type, toType);
+      assert.equal(plain(plan.block[toType].rich_text), 'Text');
+    }
+  }
+});
+
+test('new blocks get defaults for the fields their type needs', () => {
+  const paragraph = { id: 'p', type: 'paragraph', paragraph: { rich_text: [], color: 'blue' } };
+
+  assert.deepEqual(planBlockConversion(paragraph, 'callout').block.callout, {
+    rich_text: [],
+    color: 'blue',
+    icon: { type: 'emoji', emoji: '💡' }
+  });
+  assert.equal(planBlockConversion(paragraph, 'to_do').block.to_do.checked, false);
+  assert.equal(planBlockConversion(paragraph, 'heading_2').block.heading_2.is_toggleable, undefined);
+
+  const toggle = { id: 't', type: 'toggle', toggle: { rich_text: [] } };
+  assert.equal(planBlockConversion(toggle, 'heading_2').block.heading_2.is_toggleable, true);
+
+  const code = planBlockConversion({ id: 'q', type: 'quote', quote: { rich_text: [] } }, 'code', {
+    overrides: { language: 'markdown' }
+  });
+  assert.deepEqual(code.block.code, { rich_text: [], language: 'markdown' });
+});
+
+test('conversions that would lose data are refused unless forced', async () => {
+  const notion = loadWorkspace();
+
+  assert.deepEqual(getConversionLosses(notion.getBlock(OPEN_TASK), 'paragraph'), []);
+  assert.deepEqual(getConversionLosses(notion.getBlock(CODE), 'paragraph'), ['code language (javascript)']);
+  assert.deepEqual(getConversionLosses(notion.getBlock(QUOTE), 'code'), ['color (purple)']);
+  assert.deepEqual(getConversionLosses(notion.getBlock(TOGGLE), 'paragraph'), []);
+  assert.deepEqual(getConversionLosses(notion.getBlock(TOGGLE), 'code'), ['nested blocks']);
+  assert.deepEqual(
+    getConversionLosses(notion.getBlock(TOGGLE), 'paragraph', [{ type: 'child_page', child_page: { title: 'Sub' } }]),
+    ['nested child_page blocks']
+  );
+  assert.deepEqual(
+    getConversionLosses({ type: 'callout', callout: { rich_text: [], icon: { type: 'emoji', emoji: '📌' } } }, 'quote'),
+    ['callout icon']
+  );
+
+  const refused = await convertBlockType(notion, CODE, 'code', 'paragraph');
+  assert.equal(refused.success, false);
+  assert.match(refused.error, /would lose code language \(javascript\)/);
+  assert.deepEqual(refused.losses, ['code language (javascript)']);
+  assert.equal(notion.calls.filter(call => call.method === 'blocks.children.append').length, 0);
+
+  const forced = await convertBlockType(notion, QUOTE, 'quote', 'code', { force: true });
+  assert.equal(forced.success, true);
+  const code = notion.getBlock(forced.newBlockId).code;
+  assert.equal(code.language, 'plain text');
+  assert.equal(plain(code.rich_text), 'Stay hungry, stay Acme.');
+});
+
+test('converted blocks keep their nested blocks, in order and at every depth', async () => {
+  const notion = loadWorkspace();
+  const journal = createJournal('convert');
+
+  const result = await convertBlockType(notion, TOGGLE, 'toggle', 'heading_2', { journal });
+
+  assert.equal(result.success, true);
+  const heading = notion.getBlock(result.newBlockId);
+  assert.equal(heading.heading_2.is_toggleable, true);
+  const children = notion.getChildren(result.newBlockId);
+  assert.deepEqual(children.map(block => block.type), ['quote', 'to_do']);
+  assert.equal(plain(notion.getChildren(children[1].id)[0].paragraph.rich_text), 'Details under the task');
+  assert.equal(notion.getBlock(TOGGLE).archived, true);
+
+  // Undo removes the heading and brings the toggle back with its children
+  await undoRun(notion, journal.runId);
+  const restored = notion.getChildren(QUOTES_PAGE).find(block => block.type === 'toggle');
+  assert.deepEqual(notion.getChildren(restored.id).map(block => block.type), ['quote', 'to_do']);
+  assert.equal(notion.getChildren(notion.getChildren(restored.id)[1].id).length, 1);
+  assert.equal(notion.getChildren(QUOTES_PAGE).some(block => block.type === 'heading_2'), false);
+});
+
+test('the original is kept when its nested blocks cannot be copied', async () => {
+  const notion = loadWorkspace();
+  // Appending the new block works, appending its children does not
+  const failing = {
+    ...notion,
+    blocks: {
+      ...notion.blocks,
+      children: {
+        ...notion.blocks.children,
+        append: async (args) => {
+          if (args.block_id !== QUOTES_PAGE) throw new Error('Rejected');
+          return notion.blocks.children.append(args);
+        }
+      }
+    }
+  };
+
+  const result = await convertBlockType(failing, TOGGLE, 'toggle', 'callout');
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Copying nested blocks failed: Rejected; the original block was kept/);
+  assert.equal(notion.getBlock(TOGGLE).archived, false);
+  assert.equal(notion.getChildren(QUOTES_PAGE).some(block => block.type === 'callout'), false);
+});
+
+test('a failed delete of the original removes the new block, and undo still runs cleanly', async () => {
+  const notion = loadWorkspace();
+  const journal = createJournal('convert');
+  notion.failNext('blocks.delete', { status: 400, message: 'Rejected' });
+
+  const result = await convertBlockType(notion, TOGGLE, 'toggle', 'callout', { journal });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Deleting the original block failed: Rejected; the original block was kept/);
+  assert.equal(notion.getBlock(TOGGLE).archived, false);
+  assert.equal(notion.getChildren(QUOTES_PAGE).some(block => block.type === 'callout'), false);
+
+  // The create was journaled before the delete was tried
+  const undone = await undoRun(notion, journal.runId);
+  assert.equal(undone.total, 1);
+  assert.equal(undone.failed, 0);
+  assert.equal(notion.getBlock(TOGGLE).archived, false);
+});
+
+test('undo restores nested blocks that were converted along with their parent', async () => {
+  const notion = createFakeNotionClient({
+    pages: [{
+      id: 'page',
+      properties: {},
+      children: [{
+        id: 'outer',
+        type: 'quote',
+        quote: { rich_text: [] },
+        children: [{ id: 'inner', type: 'quote', quote: { rich_text: [] } }]
+      }]
+    }]
+  });
+
+  const results = await convertWorkspaceBlocks(notion, 'quote', 'paragraph');
+  assert.equal(results.converted, 2);
+  const [paragraph] = notion.getChildren('page');
+  assert.deepEqual(notion.getChildren(paragraph.id).map(block => block.type), ['paragraph']);
+
+  const undone = await undoRun(notion, results.runId);
+  assert.equal(undone.failed, 0);
+  const [outer] = notion.getChildren('page');
+  assert.equal(outer.type, 'quote');
+  assert.deepEqual(notion.getChildren(outer.id).map(block => block.type), ['quote']);
+});
+
+test('nested blocks that cannot be re-created are a loss', async () => {
+  const notion = createFakeNotionClient({
+    pages: [{
+      id: 'page',
+      properties: {},
+      children: [{
+        id: 'toggle',
+        type: 'toggle',
+        toggle: { rich_text: [] },
+        children: [
+          { id: 'sub', type: 'child_page', child_page: { title: 'Sub page' } },
+          { id: 'note', type: 'paragraph', paragraph: { rich_text: [] } }
+        ]
+      }]
+    }]
+  });
+
+  const refused = await convertBlockType(notion, 'toggle', 'toggle', 'quote');
+  assert.deepEqual(refused.losses, ['nested child_page blocks']);
+
+  // Dry runs look at the nested blocks too
+  const dryRun = await batchConvertBlocks(notion, [notion.getBlock('toggle')], 'toggle', 'quote', { dryRun: true });
+  assert.equal(dryRun.failed, 1);
+  assert.match(dryRun.errors[0].error, /nested child_page blocks/);
+
+  // force never drops nested blocks
+  const forced = await convertBlockType(notion, 'toggle', 'toggle', 'quote', { force: true });
+  assert.equal(forced.success, false);
+  assert.match(forced.error, /would drop nested child_page blocks; move them out of the block first/);
+  assert.equal(notion.getBlock('toggle').archived, false);
+  assert.equal(notion.calls.filter(call => call.method === 'blocks.children.append').length, 0);
+});
+
+test('findBlocksOfType and batchConvertBlocks convert every match', async () => {
+  const notion = loadWorkspace();
+
+  const toDos = await findBlocksOfType(notion, QUOTES_PAGE, 'to_do');
+  assert.equal(toDos.length, 3);
+  assert.equal((await findBlocksOfType(notion, QUOTES_PAGE, 'to_do', false)).length, 2);
+
+  const progress = [];
+  const refused = await batchConvertBlocks(notion, toDos, 'to_do', 'bulleted_list_item', { dryRun: true });
+  assert.equal(refused.converted, 2);
+  assert.deepEqual(refused.errors.map(error => error.blockId), [DONE_TASK]);
+
+  const dryRun = await batchConvertBlocks(notion, toDos, 'to_do', 'bulleted_list_item', {
+    dryRun: true,
+    force: true,
+    onProgress: (index, total) => progress.push(`${index}/${total}`)
+  });
+  assert.deepEqual(dryRun, { total: 3, converted: 3, failed: 0, errors: [] });
+  assert.deepEqual(progress, ['1/3', '2/3', '3/3']);
+  assert.equal(notion.calls.filter(call => call.method === 'blocks.children.append').length, 0);
+
+  notion.failNext('blocks.children.append', { status: 400, message: 'Rejected' });
+  const results = await batchConvertBlocks(notion, toDos, 'to_do', 'bulleted_list_item', { force: true });
+  assert.equal(results.converted, 2);
+  assert.equal(results.failed, 1);
+  assert.deepEqual(results.errors, [{ blockId: toDos[0].id, error: 'Rejected' }]);
+  assert.equal((await findBlocksOfType(notion, QUOTES_PAGE, 'to_do')).length, 1);
+});
+
+test('convertQuotesToText wraps quotes in quotation marks and journals the change', async () => {
+  const notion = loadWorkspace();
+
+  const preview = await convertQuotesToText(notion, true);
+  assert.equal(preview.totalQuotes, 3);
+  assert.equal(preview.runId, undefined);
+  assert.equal(notion.calls.filter(call => call.method === 'blocks.delete').length, 0);
+
+  const results = await convertQuotesToText(notion, false);
+  assert.equal(results.totalQuotes, 3);
+  assert.equal(results.convertedQuotes, 3);
+  assert.deepEqual(results.errors, []);
+  assert.ok(fs.existsSync(path.join(journalDir, `${results.runId}.jsonl`)));
+
+  const paragraphs = notion.getChildren(QUOTES_PAGE).filter(block => block.type === 'paragraph');
+  assert.deepEqual(paragraphs.map(block => plain(block.paragraph.rich_text)), ['"Stay hungry, stay Acme."']);
+  assert.equal(paragraphs[0].paragraph.color, 'purple');
+  assert.equal(notion.getChildren(QUOTES_PAGE).some(block => block.type === 'quote'), false);
+  assert.equal(notion.getChildren(TOGGLE)[0].type, 'paragraph');
+});
+
+test('convertWorkspaceBlocks converts any pair of types in scope with a per-page summary', async () => {
+  const notion = loadWorkspace();
+  const scope = { pageIds: [QUOTES_PAGE] };
+
+  const refused = await convertWorkspaceBlocks(notion, 'code', 'paragraph', { dryRun: true });
+  assert.equal(refused.totalBlocks, 1);
+  assert.equal(refused.converted, 0);
+  assert.match(refused.errors[0].error, /would lose code language/);
+  assert.equal(refused.errors[0].pageTitle, 'Quotes and tasks');
+
+  const results = await convertWorkspaceBlocks(notion, 'to_do', 'paragraph', { scope, recursive: false, force: true });
+  assert.deepEqual(results.pages.map(page => [page.title, page.total, page.converted]), [['Quotes and tasks', 2, 2]]);
+  assert.equal(results.totalPages, 1);
+  assert.ok(results.runId);
+  assert.equal(notion.getChildren(TOGGLE)[1].type, 'to_do');
+});
+
+test('nested failures and unsupported blocks are counted per page and reported', async () => {
+  const task = (id, content, children) => ({
+    id,
+    type: 'to_do',
+    to_do: { rich_text: [{ type: 'text', text: { content } }], checked: false },
+    ...(children && { children })
+  });
+  const notion = createFakeNotionClient({
+    pages: [{
+      id: 'page',
+      properties: { title: { title: [{ plain_text: 'Planning' }] } },
+      children: [
+        { id: 'list', type: 'bulleted_list_item', bulleted_list_item: { rich_text: [] }, children: [task('nested', 'Nested', [task('deep', 'Deep')])] },
+        { id: 'ai', type: 'unsupported', unsupported: {} },
+        { id: 'summary', type: 'toggle', toggle: { rich_text: [] }, children: [task('hidden', 'Hidden')] },
+        task('top', 'Top')
+      ]
+    }]
+  });
+  // The toggle holds an AI block, so its children cannot be listed
+  const client = {
+    ...notion,
+    blocks: {
+      ...notion.blocks,
+      children: {
+        ...notion.blocks.children,
+        list: async (args) => {
+          if (args.block_id === 'summary') throw new Error('Block type ai_block is not supported via the API.');
+          return notion.blocks.children.list(args);
+        }
+      }
+    }
+  };
+  notion.failNext('blocks.retrieve', { status: 400, message: 'Rejected' });
+  const reportFile = path.join(journalDir, 'report.json');
+
+  const results = await convertWorkspaceBlocks(client, 'to_do', 'paragraph', { reportFile });
+
+  assert.equal(results.totalBlocks, 3);
+  assert.equal(results.converted, 2);
+  assert.equal(results.failed, 1);
+  assert.deepEqual(results.errors, [{ pageId: 'page', pageTitle: 'Planning', blockId: 'deep', error: 'Rejected' }]);
+  assert.equal(results.skipped, 2);
+  assert.deepEqual(results.pages[0].skipped.map(block => [block.blockId, block.type]), [['ai', 'unsupported'], ['summary', 'toggle']]);
+
+  const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+  assert.deepEqual(report.pages.map(page => [page.title, page.total, page.converted, page.failed]), [['Planning', 3, 2, 1]]);
+  assert.equal(report.runId, results.runId);
+  assert.ok(report.generatedAt);
+});
+
+test('convertCheckboxesToBullets leaves to-dos holding blocks it cannot re-create', async () => {
+  const notion = createFakeNotionClient({
+    pages: [{
+      id: 'page',
+      properties: {},
+      children: [{
+        id: 'task',
+        type: 'to_do',
+        to_do: { rich_text: [], checked: true },
+        children: [
+          { id: 'photo', type: 'image', image: { type: 'file', file: { url: 'https://files.notion.so/photo.png' }, caption: [] } },
+          { id: 'sub', type: 'child_page', child_page: { title: 'Sub page' } }
+        ]
+      }]
+    }]
+  });
+
+  const results = await convertCheckboxesToBullets(notion);
+
+  assert.equal(results.convertedCheckboxes, 0);
+  assert.match(results.errors[0].error, /would drop nested image blocks, nested child_page blocks/);
+  assert.equal(notion.getBlock('task').archived, false);
+  assert.deepEqual(notion.getChildren('task').map(block => block.id), ['photo', 'sub']);
+  assert.deepEqual(notion.getChildren('page').map(block => block.type), ['to_do']);
+});
+
+test('convertCheckboxesToBullets converts to-dos, keeping their color', async () => {
+  const notion = loadWorkspace();
+
+  const results = await convertCheckboxesToBullets(notion, false, { concurrency: 2 });
+
+  assert.equal(results.totalCheckboxes, 3);
+  assert.equal(results.convertedCheckboxes, 3);
+  const bullets = notion.getChildren(QUOTES_PAGE).filter(block => block.type === 'bulleted_list_item');
+  assert.deepEqual(bullets.map(block => plain(block.bulleted_list_item.rich_text)), ['Ship the Acme release', 'Write Acme docs']);
+  assert.equal(bullets[0].bulleted_list_item.color, 'red');
+  assert.deepEqual(notion.getChildren(TOGGLE).map(block => block.type), ['quote', 'bulleted_list_item']);
+  assert.equal(notion.getChildren(notion.getChildren(TOGGLE)[1].id)[0].type, 'paragraph');
+  assert.equal(notion.getChildren(TEAM_NOTES).length, 2);
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+  buildBlockUpdate,
+  buildConvertedContent,
+  toAppendableBlock
+} from '../lib/block-update.js';
+import { processBlock } from '../lib/text-processor.js';
+
+const fixture = (name) => JSON.parse(
+  fs.readFileSync(new URL(`./fixtures/blocks/${name}.json`, import.meta.url), 'utf8')
+);
+
+const text = (content) => [{ type: 'text', text: { content, link: null } }];
+
+test('buildBlockUpdate keeps color when only rich_text changes', () => {
+  const block = fixture('paragraph-colored');
+  const update = buildBlockUpdate(block, { rich_text: text('New name appears here') });
+
+  assert.deepEqual(update, {
+    paragraph: {
+      rich_text: text('New name appears here'),
+      color: 'yellow_background'
+    }
+  });
+});
+
+test('buildBlockUpdate round-trips toggleable headings, checked to-dos and emoji icons', () => {
+  const heading = buildBlockUpdate(fixture('heading-toggleable'), { rich_text: text('x') });
+  assert.equal(heading.heading_2.is_toggleable, true);
+  assert.equal(heading.heading_2.color, 'blue');
+
+  const toDo = buildBlockUpdate(fixture('to-do-checked'), { rich_text: text('x') });
+  assert.equal(toDo.to_do.checked, true);
+  assert.equal(toDo.to_do.color, 'red');
+
+  const callout = buildBlockUpdate(fixture('callout-emoji'), { rich_text: text('x') });
+  assert.deepEqual(callout.callout.icon, { type: 'emoji', emoji: '💡' });
+  assert.equal(callout.callout.color, 'gray_background');
+});
+
+test('buildBlockUpdate leaves out Notion-hosted icons', () => {
+  const update = buildBlockUpdate(fixture('callout-file-icon'), { rich_text: text('x') });
+
+  assert.equal('icon' in update.callout, false);
+  assert.equal(update.callout.color, 'default');
+});
+
+test('buildBlockUpdate keeps code language and caption', () => {
+  const block = fixture('code-captioned');
+  const update = buildBlockUpdate(block, { rich_text: text("const name = 'New name';") });
+
+  assert.equal(update.code.language, 'javascript');
+  assert.deepEqual(update.code.caption, block.code.caption);
+});
+
+test('buildBlockUpdate never sends read-only response fields', () => {
+  const block = fixture('paragraph-colored');
+  const update = buildBlockUpdate(block);
+
+  assert.deepEqual(Object.keys(update), ['paragraph']);
+  assert.deepEqual(update.paragraph, { rich_text: block.paragraph.rich_text, color: 'yellow_background' });
+});
+
+test('buildBlockUpdate writes media URLs to the external file', () => {
+  const image = fixture('image-external');
+  assert.deepEqual(buildBlockUpdate(image, { url: 'https://example.org/logo.png' }), {
+    image: {
+      caption: image.image.caption,
+      external: { url: 'https://example.org/logo.png' }
+    }
+  });
+
+  const hosted = fixture('image-hosted');
+  assert.deepEqual(buildBlockUpdate(hosted, { caption: text('New caption') }), {
+    image: { caption: text('New caption') }
+  });
+
+  const bookmark = fixture('bookmark');
+  assert.deepEqual(buildBlockUpdate(bookmark, { url: 'https://new.example.com/docs' }), {
+    bookmark: { caption: [], url: 'https://new.example.com/docs' }
+  });
+});
+
+test('buildBlockUpdate returns nothing for blocks integrations cannot write', () => {
+  assert.deepEqual(buildBlockUpdate(fixture('link-preview'), { url: 'https://example.com' }), {});
+});
+
+test('buildConvertedContent carries shared fields to the new type', () => {
+  assert.deepEqual(buildConvertedContent(fixture('to-do-checked'), 'bulleted_list_item'), {
+    rich_text: fixture('to-do-checked').to_do.rich_text,
+    color: 'red'
+  });
+
+  const quote = fixture('quote');
+  const paragraph = buildConvertedContent(quote, 'paragraph', { rich_text: text('"Quoted"') });
+  assert.deepEqual(paragraph, { rich_text: text('"Quoted"'), color: 'purple' });
+});
+
+test('toAppendableBlock rebuilds a block from its snapshot', () => {
+  assert.deepEqual(toAppendableBlock(fixture('callout-file-icon')), {
+    type: 'callout',
+    callout: {
+      rich_text: fixture('callout-file-icon').callout.rich_text,
+      color: 'default'
+    }
+  });
+});
+
+test('processBlock patches only the text of a colored table row and callout', async () => {
+  const updates = [];
+  const notion = { blocks: { update: async (payload) => updates.push(payload) } };
+
+  const callout = fixture('callout-emoji');
+  const row = fixture('table-row');
+  await processBlock(notion, callout, 'Old name', 'New name');
+  await processBlock(notion, row, 'Old name', 'New name');
+
+  assert.equal(updates.length, 2);
+  assert.equal(updates[0].block_id, callout.id);
+  assert.equal(updates[0].callout.rich_text[0].text.content, 'Note about New name');
+  assert.deepEqual(updates[0].callout.icon, callout.callout.icon);
+  assert.equal(updates[0].callout.color, 'gray_background');
+  assert.equal(updates[1].table_row.cells[0][0].text.content, 'New name');
+  assert.deepEqual(updates[1].table_row.cells[1], row.table_row.cells[1]);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, parseRetryAfter } from '../lib/rate-limiter.js';
+import { createRateLimitedFetch } from '../lib/notion-client.js';
+import { runWithConcurrency } from '../lib/worker-pool.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('runWithConcurrency keeps result order and the concurrency limit', async () => {
+  let running = 0;
+  let maxRunning = 0;
+
+  const results = await runWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await delay(ms);
+    running--;
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(maxRunning, 2);
+});
+
+test('runWithConcurrency stops starting items after a worker throws', async () => {
+  const started = [];
+
+  await assert.rejects(
+    runWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+      started.push(item);
+      if (item === 2) throw new Error('boom');
+    }),
+    /boom/
+  );
+  assert.deepEqual(started, [1, 2]);
+});
+
+test('rate limiter spaces requests after the burst', async () => {
+  const limiter = createRateLimiter({ requestsPerSecond: 50, burst: 2 });
+  const start = Date.now();
+  const times = [];
+
+  await Promise.all([0, 1, 2, 3].map(async () => {
+    await limiter.acquire();
+    times.push(Date.now() - start);
+  }));
+
+  assert.ok(times[1] < 15, `burst went through immediately (${times})`);
+  assert.ok(times[3] >= 35, `later requests waited for tokens (${times})`);
+});
+
+test('a 429 pauses every caller for Retry-After', async () => {
+  const limiter = createRateLimiter({ requestsPerSecond: 100 });
+  const calls = [];
+  const start = Date.now();
+  const fetchImpl = async (url) => {
+    calls.push({ url, at: Date.now() - start });
+    if (calls.length === 1) {
+      return { status: 429, headers: new Headers({ 'retry-after': '0.1' }) };
+    }
+    return { status: 200 };
+  };
+  const rateLimitedFetch = createRateLimitedFetch(limiter, fetchImpl);
+
+  const first = await rateLimitedFetch('first');
+  const second = await rateLimitedFetch('second');
+
+  assert.equal(first.status, 429);
+  assert.equal(second.status, 200);
+  assert.ok(calls[1].at >= 100, `second request waited out the pause (${calls[1].at}ms)`);
+});
+
+test('requests that time out while queued are dropped, not sent late', async () => {
+  const limiter = createRateLimiter({ requestsPerSecond: 10 });
+  const sent = [];
+  const fetchImpl = async (url) => {
+    sent.push(url);
+    return { status: 200 };
+  };
+  const rateLimitedFetch = createRateLimitedFetch(limiter, fetchImpl, { timeoutMs: 50 });
+
+  limiter.pause(100);
+  await assert.rejects(rateLimitedFetch('late'), /timed out while waiting for the rate limiter and was not sent/);
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(rateLimitedFetch('aborted', { signal: controller.signal }), /was not sent/);
+
+  // The pause is over, so a request with the default deadline goes through
+  assert.equal((await createRateLimitedFetch(limiter, fetchImpl)('on time')).status, 200);
+  assert.deepEqual(sent, ['on time']);
+});
+
+test('parseRetryAfter accepts seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter(null), 1000);
+  const inFiveSeconds = new Date(Date.now() + 5000).toUTCString();
+  assert.ok(parseRetryAfter(inFiveSeconds) > 3000);
+});
@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  lintPage,
+  lintWorkspace,
+  selectRules,
+  loadRuleModules,
+  isPublishedPage,
+  buildBlockTree,
+  renderLintJUnit
+} from '../lib/content-lint.js';
+import { DEFAULT_RULES } from '../lib/lint-rules/index.js';
+import { describeBrokenLink } from '../lib/lint-rules/broken-link.js';
+import { createFakeNotionClient, loadWorkspaceFixture } from '../lib/fake-notion-client.js';
+
+const text = (content, link) => ({
+  type: 'text',
+  text: { content, link: link ? { url: link } : null },
+  plain_text: content,
+  href: link || null
+});
+
+const block = (id, type, content = '', extra = {}) => ({
+  id,
+  type,
+  parent: { type: 'page_id', page_id: 'page' },
+  has_children: false,
+  [type]: { rich_text: content === null ? [] : [text(content)], ...extra }
+});
+
+const page = (properties = {}) => ({
+  id: 'page',
+  url: 'https://www.notion.so/Post-page',
+  properties: { Name: { type: 'title', title: [{ plain_text: 'Post' }] }, ...properties }
+});
+
+const lint = (blocks, ruleId, options = {}, target = page()) =>
+  lintPage(target, blocks, selectRules(DEFAULT_RULES, { only: [ruleId] }), options).issues;
+
+test('heading rules report a missing H1, extra H1s and skipped levels', () => {
+  assert.deepEqual(lint([block('p', 'paragraph', 'Intro')], 'missing-h1').map(issue => issue.message), ['Page has no H1 heading']);
+  assert.deepEqual(lint([block('h', 'heading_1', 'Title')], 'missing-h1'), []);
+
+  const headings = [
+    block('h1', 'heading_1', 'Title'),
+    block('h3', 'heading_3', 'Details'),
+    block('h2', 'heading_2', 'Section'),
+    block('h1b', 'heading_1', 'Second title')
+  ];
+  assert.deepEqual(lint(headings, 'multiple-h1').map(issue => issue.blockId), ['h1b']);
+
+  const skipped = lint(headings, 'heading-order');
+  assert.deepEqual(skipped.map(issue => issue.blockId), ['h3']);
+  assert.equal(skipped[0].message, 'H3 "Details" follows an H1');
+  assert.equal(skipped[0].blockUrl, 'https://www.notion.so/Post-page#h3');
+  assert.equal(skipped[0].severity, 'warning');
+});
+
+test('paragraph and image rules report empty, long and uncaptioned blocks', () => {
+  const blocks = [
+    block('empty', 'paragraph', null),
+    block('spaces', 'paragraph', '   '),
+    block('long', 'paragraph', 'x'.repeat(50)),
+    block('captioned', 'image', null, { caption: [text('A chart')], type: 'external' }),
+    block('bare', 'image', null, { caption: [], type: 'external' })
+  ];
+
+  assert.deepEqual(lint(blocks, 'empty-paragraph').map(issue => issue.blockId), ['empty', 'spaces']);
+  assert.deepEqual(lint(blocks, 'image-caption').map(issue => issue.blockId), ['bare']);
+  assert.deepEqual(lint(blocks, 'long-paragraph'), []);
+  assert.deepEqual(
+    lint(blocks, 'long-paragraph', { maxParagraphLength: 40 }).map(issue => issue.message),
+    ['Paragraph is 50 characters long (limit 40)']
+  );
+});
+
+test('broken-looking links are reported with the reason', () => {
+  assert.equal(describeBrokenLink('https://acme.com/docs'), null);
+  assert.equal(describeBrokenLink('/0123456789abcdef0123456789abcdef'), null);
+  assert.equal(describeBrokenLink('mailto:team@acme.com'), null);
+  assert.equal(describeBrokenLink(''), 'empty link');
+  assert.equal(describeBrokenLink('TODO'), 'placeholder link "TODO"');
+  assert.equal(describeBrokenLink('acme.com/docs'), 'link has no http(s):// scheme');
+  assert.equal(describeBrokenLink('https://https://acme.com'), 'scheme is repeated');
+  assert.equal(describeBrokenLink('https://acme.com/my page'), 'link contains spaces');
+  assert.equal(describeBrokenLink('http://localhost:3000/post'), 'link points to localhost');
+  assert.equal(describeBrokenLink('https://example.com'), 'link points to example.com');
+  assert.equal(describeBrokenLink('https://acme'), 'host has no domain');
+
+  const paragraph = block('p', 'paragraph', null);
+  paragraph.paragraph.rich_text = [text('Read '), text('the docs', 'www.acme.com/docs'), text('fine', 'https://acme.com')];
+  const bookmark = { id: 'b', type: 'bookmark', bookmark: { url: 'https://example.org', caption: [] } };
+
+  assert.deepEqual(lint([paragraph, bookmark], 'broken-link').map(issue => issue.message), [
+    '"the docs" → www.acme.com/docs: link has no http(s):// scheme',
+    '"bookmark" → https://example.org: link points to example.org'
+  ]);
+});
+
+test('leftover to-dos are only reported in published posts', () => {
+  const blocks = [block('t', 'to_do', 'Add screenshots', { checked: false })];
+  const published = page({ Status: { type: 'status', status: { name: 'Published' } } });
+  const draft = page({ Status: { type: 'status', status: { name: 'Draft' } } });
+
+  assert.equal(isPublishedPage(published), true);
+  assert.equal(isPublishedPage(draft), false);
+  assert.equal(isPublishedPage(page({ Published: { type: 'checkbox', checkbox: true } })), true);
+  assert.equal(isPublishedPage(draft, ['Draft']), true);
+
+  assert.deepEqual(lint(blocks, 'leftover-todo', {}, draft), []);
+  assert.deepEqual(
+    lint(blocks, 'leftover-todo', {}, published).map(issue => issue.message),
+    ['To-do "Add screenshots" in a published post']
+  );
+});
+
+test('rules see the block tree and can be selected, disabled and loaded from modules', async () => {
+  const child = { ...block('child', 'paragraph', 'Inside'), parent: { type: 'block_id', block_id: 'toggle' } };
+  const tree = buildBlockTree([block('toggle', 'toggle', 'More'), child, block('after', 'paragraph', 'After')]);
+  assert.deepEqual(tree.map(node => node.id), ['toggle', 'after']);
+  assert.deepEqual(tree[0].children.map(node => node.id), ['child']);
+
+  assert.equal(selectRules(DEFAULT_RULES, { disable: ['missing-h1'] }).some(rule => rule.id === 'missing-h1'), false);
+  assert.throws(() => selectRules(DEFAULT_RULES, { only: ['nope'] }), /Unknown lint rule\(s\): nope/);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lint-rules-'));
+  const pluginFile = path.join(dir, 'no-toggles.mjs');
+  fs.writeFileSync(pluginFile, `
+    export const noToggles = {
+      id: 'no-toggles',
+      description: 'Toggles hide content from readers',
+      severity: 'warning',
+      check: ({ blocks }) => blocks.filter(block => block.type === 'toggle')
+        .map(block => ({ blockId: block.id, message: block.children.length + ' hidden block(s)' }))
+    };
+  `);
+
+  const [plugin] = await loadRuleModules([pluginFile]);
+  assert.equal(plugin.id, 'no-toggles');
+  const { issues } = lintPage(page(), [block('toggle', 'toggle', 'More'), child], [plugin]);
+  assert.deepEqual(issues.map(issue => issue.message), ['1 hidden block(s)']);
+
+  fs.writeFileSync(path.join(dir, 'empty.mjs'), 'export const value = 1;');
+  await assert.rejects(loadRuleModules([path.join(dir, 'empty.mjs')]), /exports no lint rules/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('lintWorkspace checks every page and renders a JUnit report', async () => {
+  const notion = createFakeNotionClient(
+    loadWorkspaceFixture(new URL('./fixtures/workspace.json', import.meta.url))
+  );
+
+  const results = await lintWorkspace(notion, { rules: DEFAULT_RULES, concurrency: 2 });
+
+  assert.equal(results.totalPages, 5);
+  assert.equal(results.pages.length, 5);
+  assert.deepEqual(results.counts, { error: 3, warning: 0 });
+  assert.deepEqual(
+    results.pages.filter(page => page.issues.length > 0).map(page => page.title),
+    ['Old post', 'Team notes', 'Empty page']
+  );
+
+  results.pages[0].title = 'R&D <notes>';
+  const xml = renderLintJUnit(results);
+  assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="content-lint" tests="40" failures="3" errors="0">/);
+  assert.match(xml, /<testsuite name="R&amp;D &lt;notes&gt;"/);
+  assert.match(xml, /<testcase name="missing-h1" classname="content-lint.Old post">\n {6}<failure type="error" message="1 issue\(s\): Page has no H1 heading">/);
+  assert.equal((xml.match(/<testcase /g) || []).length, 40);
+});
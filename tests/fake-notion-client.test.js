@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { createFakeNotionClient, loadWorkspaceFixture } from '../lib/fake-notion-client.js';
+import { wrapWithRetry } from '../lib/notion-client.js';
+import { getAllPages, getPageContent } from '../lib/page-fetcher.js';
+
+const workspacePath = new URL('./fixtures/workspace.json', import.meta.url);
+const loadWorkspace = () => createFakeNotionClient(loadWorkspaceFixture(workspacePath));
+
+const QUOTES_PAGE = 'a0000000-0000-4000-8000-000000000001';
+const TOGGLE = 'b0000000-0000-4000-8000-000000000015';
+const BLOGS = 'd0000000-0000-4000-8000-000000000001';
+
+const paragraph = (id, content) => ({
+  id,
+  type: 'paragraph',
+  paragraph: { rich_text: [{ type: 'text', text: { content } }] }
+});
+
+test('search, pages and databases come from the fixture', async () => {
+  const notion = loadWorkspace();
+
+  const pages = await getAllPages(notion);
+  assert.deepEqual(pages.map(page => page.id).sort(), [
+    'a0000000-0000-4000-8000-000000000001',
+    'a0000000-0000-4000-8000-000000000003',
+    'a0000000-0000-4000-8000-000000000011',
+    'a0000000-0000-4000-8000-000000000012',
+    'b0000000-0000-4000-8000-000000000019'
+  ]);
+
+  const databases = await notion.search({ filter: { property: 'object', value: 'database' } });
+  assert.deepEqual(databases.results.map(database => database.id), [BLOGS]);
+
+  const recent = await notion.databases.query({
+    database_id: BLOGS,
+    filter: { timestamp: 'last_edited_time', last_edited_time: { after: '2026-01-01T00:00:00Z' } }
+  });
+  assert.deepEqual(recent.results.map(page => page.properties.Name.title[0].plain_text), ['Launch post']);
+
+  const page = await notion.pages.retrieve({ page_id: QUOTES_PAGE.replace(/-/g, '') });
+  assert.equal(page.id, QUOTES_PAGE);
+});
+
+test('blocks report has_children and nested content can be walked', async () => {
+  const notion = loadWorkspace();
+
+  const { results } = await notion.blocks.children.list({ block_id: QUOTES_PAGE });
+  const toggle = results.find(block => block.id === TOGGLE);
+  assert.equal(toggle.has_children, true);
+  assert.equal(results[0].has_children, false);
+  assert.equal(toggle.parent.page_id, QUOTES_PAGE);
+
+  const blocks = await getPageContent(notion, QUOTES_PAGE, { recursive: true });
+  assert.ok(blocks.some(block => block.id === 'b0000000-0000-4000-8000-000000000018'));
+  assert.equal(blocks.filter(block => block.type === 'quote').length, 2);
+
+  // Child pages list their own blocks through the child_page block
+  const childPage = await getPageContent(notion, QUOTES_PAGE, { recursive: true, skipChildPages: false });
+  assert.ok(childPage.some(block => block.type === 'callout'));
+});
+
+test('children are paginated with cursors', async () => {
+  const notion = createFakeNotionClient({
+    pages: [{
+      id: 'page',
+      properties: {},
+      children: Array.from({ length: 250 }, (_, index) => paragraph(`block-${index}`, `Line ${index}`))
+    }]
+  });
+
+  const first = await notion.blocks.children.list({ block_id: 'page', page_size: 100 });
+  assert.equal(first.results.length, 100);
+  assert.equal(first.has_more, true);
+  assert.equal(first.next_cursor, 'block-100');
+
+  const last = await notion.blocks.children.list({ block_id: 'page', start_cursor: 'block-200' });
+  assert.equal(last.results.length, 50);
+  assert.equal(last.has_more, false);
+  assert.equal(last.next_cursor, null);
+
+  const blocks = await getPageContent(notion, 'page');
+  assert.equal(blocks.length, 250);
+});
+
+test('append inserts after a sibling and delete archives', async () => {
+  const notion = loadWorkspace();
+  const quote = 'b0000000-0000-4000-8000-000000000012';
+
+  const { results } = await notion.blocks.children.append({
+    block_id: QUOTES_PAGE,
+    children: [{ paragraph: { rich_text: [{ type: 'text', text: { content: 'Inserted' } }] }, type: 'paragraph' }],
+    after: quote
+  });
+  await notion.blocks.delete({ block_id: quote });
+
+  const children = notion.getChildren(QUOTES_PAGE);
+  const inserted = children.findIndex(block => block.id === results[0].id);
+  assert.equal(children[inserted - 1].id, 'b0000000-0000-4000-8000-000000000011');
+  assert.equal(children[inserted].paragraph.rich_text[0].plain_text, 'Inserted');
+  assert.equal(children[inserted].paragraph.color, 'default');
+  assert.equal(notion.getBlock(quote).archived, true);
+
+  await assert.rejects(notion.blocks.retrieve({ block_id: quote }), { code: 'object_not_found', status: 404 });
+});
+
+test('update replaces the content object and cannot change the block type', async () => {
+  const notion = loadWorkspace();
+  const task = 'b0000000-0000-4000-8000-000000000013';
+
+  await notion.blocks.update({ block_id: task, to_do: { rich_text: [{ type: 'text', text: { content: 'Renamed' } }] } });
+  const updated = notion.getBlock(task);
+  assert.equal(updated.to_do.rich_text[0].plain_text, 'Renamed');
+  assert.equal(updated.to_do.checked, false);
+  assert.equal(updated.to_do.color, 'default');
+
+  await assert.rejects(
+    notion.blocks.update({ block_id: task, bulleted_list_item: { rich_text: [] } }),
+    { code: 'validation_error', status: 400 }
+  );
+});
+
+test('page properties can be updated', async () => {
+  const notion = loadWorkspace();
+  const post = 'a0000000-0000-4000-8000-000000000011';
+
+  await notion.pages.update({ page_id: post, properties: { Summary: { rich_text: [{ text: { content: 'Updated' } }] } } });
+  assert.equal(notion.getPage(post).properties.Summary.rich_text[0].plain_text, 'Updated');
+
+  await assert.rejects(
+    notion.pages.update({ page_id: post, properties: { Missing: { rich_text: [] } } }),
+    { code: 'validation_error' }
+  );
+});
+
+test('injected errors look like API errors and are retried by the client wrapper', async () => {
+  const notion = loadWorkspace();
+  notion.failNext('blocks.children.list', { status: 429, retryAfter: 0 });
+  notion.failNext('blocks.children.list', 500);
+
+  const retries = [];
+  const client = wrapWithRetry(notion, { baseDelayMs: 1, onRetry: event => retries.push(event.category) });
+  const { results } = await client.blocks.children.list({ block_id: QUOTES_PAGE });
+
+  assert.ok(results.length > 0);
+  assert.deepEqual(retries, ['rate_limited', 'internal_server_error']);
+  assert.equal(notion.calls.filter(call => call.method === 'blocks.children.list').length, 3);
+
+  notion.failNext('*', { status: 400, message: 'Bad request' });
+  await assert.rejects(client.search({}), { code: 'validation_error', message: 'Bad request' });
+});
+
+test('synced block references list the original content', async () => {
+  const notion = createFakeNotionClient({
+    pages: [{
+      id: 'page',
+      properties: {},
+      children: [
+        { id: 'original', type: 'synced_block', synced_block: { synced_from: null }, children: [paragraph('shared', 'Shared text')] },
+        { id: 'reference', type: 'synced_block', synced_block: { synced_from: { type: 'block_id', block_id: 'original' } } }
+      ]
+    }]
+  });
+
+  const { results } = await notion.blocks.children.list({ block_id: 'reference' });
+  assert.deepEqual(results.map(block => block.id), ['shared']);
+  assert.equal(notion.getBlock('reference').has_children, true);
+});
+
+test('commands run end-to-end against NOTION_FAKE_WORKSPACE', () => {
+  const journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notion-journal-'));
+  const result = spawnSync(process.execPath, ['index.js', 'replace', '-s', 'Acme', '-r', 'Initech', '-y'], {
+    cwd: fileURLToPath(new URL('..', import.meta.url)),
+    env: { ...process.env, NOTION_FAKE_WORKSPACE: fileURLToPath(workspacePath), NOTION_JOURNAL_DIR: journalDir },
+    encoding: 'utf8',
+    timeout: 60000
+  });
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /Pages modified: 3/);
+  assert.match(result.stdout, /Total replacements: 11/);
+  assert.equal(fs.readdirSync(journalDir).length, 1);
+  fs.rmSync(journalDir, { recursive: true, force: true });
+});
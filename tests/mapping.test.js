@@ -0,0 +1,158 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  loadMappingFile,
+  normalizeRule,
+  orderRules,
+  detectRuleDependencies,
+  resolveRuleScopes,
+  getRulesForPage
+} from '../lib/mapping.js';
+import { findAndReplaceInWorkspace } from '../lib/find-replace.js';
+import { createFakeNotionClient, loadWorkspaceFixture } from '../lib/fake-notion-client.js';
+
+const loadWorkspace = () => createFakeNotionClient(
+  loadWorkspaceFixture(new URL('./fixtures/workspace.json', import.meta.url))
+);
+
+const BLOGS = 'd0000000-0000-4000-8000-000000000001';
+const LAUNCH_POST = 'a0000000-0000-4000-8000-000000000011';
+const OLD_POST = 'a0000000-0000-4000-8000-000000000012';
+
+const rules = (...entries) => entries.map((entry, index) => normalizeRule(entry, index));
+const names = (list) => list.map(rule => rule.name);
+
+let tempDir;
+
+before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notion-mapping-'));
+  process.env.NOTION_JOURNAL_DIR = tempDir;
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const writeMapping = (name, content) => {
+  const file = path.join(tempDir, name);
+  fs.writeFileSync(file, content);
+  return file;
+};
+
+test('CSV mappings read quoted fields, options and scopes', () => {
+  const file = writeMapping('map.csv', [
+    'search,replace,name,whole_word,title',
+    '"Acme, Inc.",Globex,company,yes,',
+    '',
+    '"Say ""hi""","Say',
+    'hello",greeting,,Weekly *\r'
+  ].join('\n'));
+
+  const [company, greeting] = loadMappingFile(file);
+
+  assert.equal(company.search, 'Acme, Inc.');
+  assert.equal(company.replace, 'Globex');
+  assert.equal(company.matchOptions.wholeWord, true);
+  assert.equal(company.scope, null);
+  assert.equal(greeting.search, 'Say "hi"');
+  assert.equal(greeting.replace, 'Say\nhello');
+  assert.equal(greeting.matchOptions.wholeWord, false);
+  assert.deepEqual(greeting.scope, { titlePattern: 'Weekly *' });
+});
+
+test('JSON and YAML mappings accept pairs and lists, and bad rules are reported by number', () => {
+  assert.deepEqual(
+    loadMappingFile(writeMapping('pairs.json', '{"Acme": "Globex", "Initech": "Umbrella"}')).map(rule => [rule.search, rule.replace]),
+    [['Acme', 'Globex'], ['Initech', 'Umbrella']]
+  );
+
+  const [yamlRule] = loadMappingFile(writeMapping('map.yaml', '- search: acme\n  replace: Globex\n  ignore-case: true\n'), { regex: true });
+  assert.deepEqual(yamlRule.matchOptions, { regex: true, ignoreCase: true, multiline: false, wholeWord: false, preserveCase: false });
+
+  assert.throws(() => loadMappingFile(writeMapping('empty.json', '[{"search": "Acme"}, {"replace": "x"}]')), /Rule 2: search text cannot be empty/);
+  assert.throws(() => loadMappingFile(writeMapping('date.json', '[{"search": "Acme", "edited_after": "soon"}]')), /Rule 1: invalid date "soon"/);
+  assert.throws(() => loadMappingFile(writeMapping('map.txt', 'Acme')), /Unsupported mapping file type ".txt"/);
+});
+
+test('detectRuleDependencies finds rules that match another rule\'s output', () => {
+  const mapping = rules(
+    { name: 'corp', search: '(\\w+) Corp', replace: '$1 Inc', regex: true },
+    { name: 'inc', search: 'Inc', replace: 'Incorporated' },
+    { name: 'word', search: 'Corp', replace: 'Co' }
+  );
+
+  // $1 is unknown until a match, so only " Inc" is checked
+  assert.deepEqual(
+    detectRuleDependencies(mapping).map(({ producer, consumer, text }) => [producer.name, consumer.name, text]),
+    [['corp', 'inc', ' Inc']]
+  );
+});
+
+test('orderRules runs a rule before the rule whose output it would rewrite', () => {
+  const chain = rules(
+    { name: 'acme', search: 'Acme', replace: 'Initech' },
+    { name: 'initech', search: 'Initech', replace: 'Globex' },
+    { name: 'other', search: 'Umbrella', replace: 'Hooli' }
+  );
+
+  const ordered = orderRules(chain);
+  assert.equal(ordered.reordered, true);
+  assert.deepEqual(names(ordered.rules), ['initech', 'acme', 'other']);
+  assert.deepEqual(ordered.conflicts, []);
+  assert.equal(orderRules(ordered.rules).reordered, false);
+
+  // Swapping two names cannot be ordered either way
+  const swap = rules(
+    { name: 'forward', search: 'Acme', replace: 'Globex' },
+    { name: 'back', search: 'Globex', replace: 'Acme' },
+    { name: 'other', search: 'Umbrella', replace: 'Hooli' }
+  );
+  const conflicting = orderRules(swap);
+  assert.equal(conflicting.reordered, false);
+  assert.deepEqual(names(conflicting.rules), ['forward', 'back', 'other']);
+  assert.deepEqual(
+    conflicting.conflicts.map(({ producer, consumer }) => [producer.name, consumer.name]),
+    [['forward', 'back'], ['back', 'forward']]
+  );
+});
+
+test('rule scopes narrow the run scope instead of replacing it', async () => {
+  const notion = loadWorkspace();
+  const [everywhere] = rules({ search: 'Acme', replace: 'Globex', title: '*' });
+  assert.deepEqual(everywhere.scope, { titlePattern: '*' });
+
+  // Every rule is scoped, so only pages in both scopes are visited
+  const pages = await resolveRuleScopes(notion, [everywhere], { databaseId: BLOGS });
+  assert.deepEqual(pages.map(page => page.id).sort(), [LAUNCH_POST, OLD_POST]);
+  assert.deepEqual([...everywhere.pageIds].sort(), [LAUNCH_POST, OLD_POST].map(id => id.replace(/-/g, '')));
+
+  const [teamNotes, unscoped] = rules(
+    { search: 'Acme', replace: 'Globex', title: 'Team*' },
+    { search: 'Launch', replace: 'Release' }
+  );
+  const mixed = await resolveRuleScopes(notion, [teamNotes, unscoped], { databaseId: BLOGS });
+  assert.deepEqual(mixed.map(page => page.id).sort(), [LAUNCH_POST, OLD_POST]);
+  assert.equal(teamNotes.pageIds.size, 0);
+  assert.deepEqual(getRulesForPage([teamNotes, unscoped], mixed[0]), [unscoped]);
+});
+
+test('mapping runs count replacements and pages per rule', async () => {
+  const notion = loadWorkspace();
+  const mapping = rules(
+    { name: 'company', search: 'Acme', replace: 'Globex' },
+    { name: 'launch', search: 'launch', replace: 'release', title: 'Launch*' }
+  );
+
+  const results = await findAndReplaceInWorkspace(notion, null, null, { rules: mapping, silent: true });
+
+  assert.deepEqual(
+    results.rules.map(rule => [rule.name, rule.replacements, rule.pages]),
+    [['company', 11, 3], ['launch', 2, 1]]
+  );
+  assert.equal(results.totalReplacements, 13);
+  const launchPost = results.modifiedPages.find(page => page.id === LAUNCH_POST);
+  assert.deepEqual(launchPost.ruleReplacements, { 1: 3, 2: 2 });
+});
@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getPageContent } from '../lib/page-fetcher.js';
+import { findAndReplaceInWorkspace } from '../lib/find-replace.js';
+import { previewWorkspace } from '../lib/preview.js';
+import { createFakeNotionClient, loadWorkspaceFixture } from '../lib/fake-notion-client.js';
+
+const loadWorkspace = () => createFakeNotionClient(
+  loadWorkspaceFixture(new URL('./fixtures/workspace.json', import.meta.url))
+);
+
+const QUOTES_PAGE = 'a0000000-0000-4000-8000-000000000001';
+const TEAM_NOTES = 'b0000000-0000-4000-8000-000000000019';
+
+const paragraph = (id) => ({ id, type: 'paragraph', paragraph: { rich_text: [] } });
+const toggle = (id, children) => ({ id, type: 'toggle', toggle: { rich_text: [] }, children });
+const ids = (blocks) => blocks.map(block => block.id);
+
+let journalDir;
+
+before(() => {
+  journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notion-journal-'));
+  process.env.NOTION_JOURNAL_DIR = journalDir;
+});
+
+after(() => {
+  fs.rmSync(journalDir, { recursive: true, force: true });
+});
+
+test('getPageContent descends into nested blocks up to maxDepth', async () => {
+  const notion = createFakeNotionClient({
+    pages: [{
+      id: 'page',
+      properties: {},
+      children: [toggle('outer', [toggle('inner', [paragraph('deep')])]), paragraph('after')]
+    }]
+  });
+
+  assert.deepEqual(ids(await getPageContent(notion, 'page')), ['outer', 'after']);
+  assert.deepEqual(ids(await getPageContent(notion, 'page', { recursive: true })), ['outer', 'inner', 'deep', 'after']);
+  assert.deepEqual(ids(await getPageContent(notion, 'page', { recursive: true, maxDepth: 1 })), ['outer', 'inner', 'after']);
+});
+
+test('synced content is returned once, through the original or a reference', async () => {
+  const notion = createFakeNotionClient({
+    pages: [
+      {
+        id: 'first',
+        properties: {},
+        children: [{ id: 'original', type: 'synced_block', synced_block: { synced_from: null }, children: [paragraph('shared')] }]
+      },
+      {
+        id: 'second',
+        properties: {},
+        children: [{ id: 'reference', type: 'synced_block', synced_block: { synced_from: { type: 'block_id', block_id: 'original' } } }]
+      }
+    ]
+  });
+  const syncedBlocks = new Set();
+
+  assert.deepEqual(ids(await getPageContent(notion, 'first', { recursive: true, syncedBlocks })), ['original', 'shared']);
+  assert.deepEqual(ids(await getPageContent(notion, 'second', { recursive: true, syncedBlocks })), ['reference']);
+  assert.deepEqual(ids(await getPageContent(notion, 'second', { recursive: true })), ['reference', 'shared']);
+});
+
+test('a child page is fetched once, through its parent or on its own', async () => {
+  const notion = loadWorkspace();
+  const visitedPages = new Set();
+  const options = { recursive: true, skipChildPages: false, visitedPages };
+
+  const parent = await getPageContent(notion, QUOTES_PAGE, options);
+  assert.ok(parent.some(block => block.type === 'callout'));
+  assert.deepEqual(await getPageContent(notion, TEAM_NOTES, options), []);
+
+  // Fetched on its own first, the child page is not descended into again
+  const childFirst = new Set();
+  assert.equal((await getPageContent(notion, TEAM_NOTES, { ...options, visitedPages: childFirst })).length, 2);
+  const parentAfter = await getPageContent(notion, QUOTES_PAGE, { ...options, visitedPages: childFirst });
+  assert.equal(parentAfter.some(block => block.type === 'callout'), false);
+});
+
+test('--include-child-pages replaces text in child pages once', async () => {
+  const notion = loadWorkspace();
+  const options = { includeChildPages: true, silent: true };
+
+  const preview = await previewWorkspace(notion, 'Acme', 'Acme Inc', options);
+  const results = await findAndReplaceInWorkspace(notion, 'Acme', 'Acme Inc', options);
+
+  assert.equal(results.totalReplacements, 11);
+  assert.equal(preview.totalMatches, 11);
+  const standup = notion.getBlock('b0000000-0000-4000-8000-000000000021');
+  assert.equal(standup.bulleted_list_item.rich_text.map(item => item.plain_text).join(''), 'Acme Inc standup at 10');
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyError, withRetry, getRetryDelay, retryEvents } from '../lib/retry.js';
+import { wrapWithRetry } from '../lib/notion-client.js';
+
+const apiError = (code, status, headers) => Object.assign(new Error(code), { code, status, headers });
+
+const fast = { baseDelayMs: 1, maxDelayMs: 5 };
+
+test('classifyError sorts transient failures into categories', () => {
+  assert.equal(classifyError(apiError('rate_limited', 429)), 'rate_limited');
+  assert.equal(classifyError(apiError('internal_server_error', 500)), 'internal_server_error');
+  assert.equal(classifyError(apiError('service_unavailable', 503)), 'internal_server_error');
+  assert.equal(classifyError(apiError('notionhq_client_response_error', 502)), 'internal_server_error');
+  assert.equal(classifyError(apiError('conflict_error', 409)), 'conflict_error');
+  assert.equal(classifyError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), 'network');
+  assert.equal(classifyError(new TypeError('fetch failed', { cause: { code: 'UND_ERR_SOCKET' } })), 'network');
+  assert.equal(classifyError(apiError('notionhq_client_request_timeout')), 'network');
+
+  assert.equal(classifyError(apiError('validation_error', 400)), null);
+  assert.equal(classifyError(apiError('object_not_found', 404)), null);
+  assert.equal(classifyError(new Error('plain bug')), null);
+});
+
+test('withRetry retries transient failures and emits retry events', async () => {
+  const events = [];
+  const listener = event => events.push(event);
+  retryEvents.on('retry', listener);
+
+  let calls = 0;
+  const result = await withRetry(async () => {
+    calls++;
+    if (calls < 3) throw apiError('internal_server_error', 500);
+    return 'done';
+  }, { ...fast, operation: 'pages.update' });
+
+  retryEvents.off('retry', listener);
+  assert.equal(result, 'done');
+  assert.equal(calls, 3);
+  assert.deepEqual(events.map(event => [event.operation, event.category, event.attempt]), [
+    ['pages.update', 'internal_server_error', 1],
+    ['pages.update', 'internal_server_error', 2]
+  ]);
+  assert.ok(events.every(event => event.delayMs >= 0));
+});
+
+test('withRetry gives up after maxRetries and never retries other errors', async () => {
+  let calls = 0;
+  const giveUps = [];
+
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw apiError('conflict_error', 409);
+  }, { ...fast, maxRetries: 2, onGiveUp: event => giveUps.push(event) }), /conflict_error/);
+  assert.equal(calls, 3);
+  assert.equal(giveUps.length, 1);
+
+  calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw apiError('validation_error', 400);
+  }, fast), /validation_error/);
+  assert.equal(calls, 1);
+});
+
+test('getRetryDelay honors Retry-After and caps backoff', () => {
+  const limited = apiError('rate_limited', 429, new Headers({ 'retry-after': '3' }));
+  assert.equal(getRetryDelay(limited, 'rate_limited', 0), 3000);
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const delay = getRetryDelay(new Error(), 'network', attempt, { baseDelayMs: 100, maxDelayMs: 1000 });
+    const ceiling = Math.min(1000, 100 * 2 ** attempt);
+    assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}`);
+  }
+});
+
+test('wrapWithRetry retries nested client methods', async () => {
+  let calls = 0;
+  const client = wrapWithRetry({
+    blocks: {
+      children: {
+        list: async ({ block_id }) => {
+          calls++;
+          if (calls === 1) throw Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' });
+          return { results: [block_id] };
+        }
+      }
+    }
+  }, fast);
+
+  assert.deepEqual(await client.blocks.children.list({ block_id: 'abc' }), { results: ['abc'] });
+  assert.equal(calls, 2);
+});
+
+test('wrapWithRetry only retries appends that were rate limited', async () => {
+  const failures = [apiError('internal_server_error', 500)];
+  let calls = 0;
+  const client = wrapWithRetry({
+    blocks: {
+      children: {
+        append: async () => {
+          calls++;
+          const failure = failures.shift();
+          if (failure) throw failure;
+          return { results: [] };
+        }
+      }
+    }
+  }, fast);
+
+  // The block may have been created before the 500, so it is not sent again
+  await assert.rejects(client.blocks.children.append({ block_id: 'abc', children: [] }), /internal_server_error/);
+  assert.equal(calls, 1);
+
+  failures.push(apiError('rate_limited', 429));
+  calls = 0;
+  assert.deepEqual(await client.blocks.children.append({ block_id: 'abc', children: [] }), { results: [] });
+  assert.equal(calls, 2);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getScopedPages } from '../lib/scope.js';
+import { createFakeNotionClient } from '../lib/fake-notion-client.js';
+
+const title = (text) => ({ Name: { type: 'title', title: [{ plain_text: text }] } });
+
+// root → toggle → column → "Nested"; root → "Direct" → "Grandchild"; "Elsewhere"
+const loadWorkspace = () => createFakeNotionClient({
+  pages: [
+    {
+      id: 'root',
+      properties: title('Root'),
+      children: [{
+        id: 'toggle',
+        type: 'toggle',
+        toggle: { rich_text: [] },
+        children: [{ id: 'column', type: 'column', column: {} }]
+      }]
+    },
+    { id: 'nested', parent: { type: 'block_id', block_id: 'column' }, properties: title('Nested') },
+    { id: 'direct', parent: { type: 'page_id', page_id: 'root' }, properties: title('Direct') },
+    { id: 'grandchild', parent: { type: 'page_id', page_id: 'direct' }, properties: title('Grandchild') },
+    { id: 'elsewhere', properties: title('Elsewhere') }
+  ]
+});
+
+test('parentPageId keeps pages below the page, including pages inside blocks', async () => {
+  const notion = loadWorkspace();
+
+  const pages = await getScopedPages(notion, { parentPageId: 'root' });
+
+  assert.deepEqual(pages.map(page => page.id).sort(), ['direct', 'grandchild', 'nested']);
+  // The workspace is searched once, and each block parent is looked up once
+  assert.equal(notion.calls.filter(call => call.method === 'search').length, 2);
+  assert.deepEqual(
+    notion.calls.filter(call => call.method === 'blocks.retrieve').map(call => call.args.block_id).sort(),
+    ['column', 'toggle']
+  );
+});
+
+test('parentPageId resolves ancestors outside an explicit page list', async () => {
+  const notion = loadWorkspace();
+
+  const pages = await getScopedPages(notion, { parentPageId: 'root', pageIds: ['nested', 'grandchild', 'elsewhere'] });
+
+  assert.deepEqual(pages.map(page => page.id), ['nested', 'grandchild']);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitTextIntoChunks } from '../lib/text-chunks.js';
+
+test('short text is returned as one chunk', () => {
+  assert.deepEqual(splitTextIntoChunks('Hello there.', 4000), ['Hello there.']);
+  assert.deepEqual(splitTextIntoChunks('', 4000), ['']);
+});
+
+test('chunks break after sentences and stay within the limit', () => {
+  const sentence = 'This sentence is exactly fifty characters long ok. ';
+  const text = sentence.repeat(200).trim();
+
+  const chunks = splitTextIntoChunks(text, 1000);
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.length <= 1000));
+  assert.ok(chunks.every(chunk => chunk.endsWith('.')));
+  assert.equal(chunks.join(' '), text);
+});
+
+test('text without sentence endings breaks at spaces', () => {
+  const text = Array.from({ length: 600 }, (_, index) => `word${index}`).join(' ');
+
+  const chunks = splitTextIntoChunks(text, 500);
+
+  assert.ok(chunks.every(chunk => chunk.length <= 500));
+  assert.ok(chunks.every(chunk => !chunk.startsWith(' ') && !chunk.endsWith(' ')));
+  assert.equal(chunks.join(' '), text);
+});
+
+test('a single unbroken run is cut at the limit', () => {
+  const text = 'x'.repeat(2500);
+
+  const chunks = splitTextIntoChunks(text, 1000);
+
+  assert.deepEqual(chunks.map(chunk => chunk.length), [1000, 1000, 500]);
+});
+
+test('line breaks between chunks are dropped, not carried over', () => {
+  const text = `${'First part of the text. '.repeat(20)}\n\n${'Second part here. '.repeat(20)}`;
+
+  const chunks = splitTextIntoChunks(text, 300);
+
+  assert.ok(chunks.every(chunk => !/^\s/.test(chunk)));
+  assert.equal(chunks.join('').replace(/\s/g, ''), text.replace(/\s/g, ''));
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+  searchAndReplaceInRichText,
+  extractTextFromBlock,
+  processBlock
+} from '../lib/text-processor.js';
+import { createFakeNotionClient } from '../lib/fake-notion-client.js';
+
+const fixture = (name) => JSON.parse(
+  fs.readFileSync(new URL(`./fixtures/blocks/${name}.json`, import.meta.url), 'utf8')
+);
+
+const plain = (richText) => richText.map(item => item.text?.content ?? item.plain_text).join('');
+
+test('searchAndReplaceInRichText replaces within and across formatted items', () => {
+  const { rich_text } = fixture('paragraph-colored').paragraph;
+
+  const single = searchAndReplaceInRichText(rich_text, 'appears', 'shows up');
+  assert.equal(single.modified, true);
+  assert.equal(single.count, 1);
+  assert.equal(plain(single.updatedRichText), 'Old name shows up here');
+
+  // "name appears" spans the bold and the plain item
+  const spanning = searchAndReplaceInRichText(rich_text, 'name appears', 'title shows');
+  assert.equal(plain(spanning.updatedRichText), 'Old title shows here');
+  assert.equal(spanning.updatedRichText[0].annotations.bold, true);
+});
+
+test('searchAndReplaceInRichText supports regex, case and whole-word options', () => {
+  const richText = [{ type: 'text', text: { content: 'Colby met colby at Colbyville' }, plain_text: 'Colby met colby at Colbyville' }];
+
+  const regex = searchAndReplaceInRichText(richText, 'C(o)lby', 'K$1lby', { regex: true });
+  assert.equal(plain(regex.updatedRichText), 'Kolby met colby at Kolbyville');
+
+  const wholeWord = searchAndReplaceInRichText(richText, 'colby', 'casey', { wholeWord: true, preserveCase: true });
+  assert.equal(plain(wholeWord.updatedRichText), 'Casey met casey at Colbyville');
+  assert.equal(wholeWord.count, 2);
+
+  const none = searchAndReplaceInRichText(richText, 'Acme', 'Initech');
+  assert.equal(none.modified, false);
+  assert.equal(none.count, 0);
+});
+
+test('a linked item is matched once, through its link URL', () => {
+  const richText = [{
+    type: 'text',
+    text: { content: 'Docs', link: { url: 'https://old.acme.com/docs' } },
+    plain_text: 'Docs',
+    href: 'https://old.acme.com/docs'
+  }];
+
+  for (const target of ['all', 'links', 'href']) {
+    const result = searchAndReplaceInRichText(richText, 'old.acme.com', 'acme.com', { target });
+    assert.equal(result.count, 1);
+    assert.equal(result.updatedRichText[0].text.link.url, 'https://acme.com/docs');
+    assert.equal(result.updatedRichText[0].href, 'https://acme.com/docs');
+  }
+
+  assert.equal(searchAndReplaceInRichText(richText, 'old.acme.com', 'acme.com', { target: 'text' }).count, 0);
+});
+
+test('extractTextFromBlock returns text, captions, cells and URLs', () => {
+  assert.deepEqual(
+    extractTextFromBlock(fixture('paragraph-colored')).map(item => item.plain_text),
+    ['Old name ', 'appears here']
+  );
+  assert.deepEqual(
+    extractTextFromBlock(fixture('code-captioned')).map(item => item.plain_text),
+    ["const name = 'Old name';", 'Old name example']
+  );
+  assert.deepEqual(
+    extractTextFromBlock(fixture('table-row')).map(item => item.plain_text),
+    ['Old name', 'value']
+  );
+  assert.deepEqual(
+    extractTextFromBlock(fixture('bookmark')).map(item => item.href),
+    ['https://old.example.com/docs']
+  );
+  assert.deepEqual(extractTextFromBlock({ id: 'x', type: 'divider', divider: {} }), []);
+});
+
+test('processBlock writes the replacement through the Notion client', async () => {
+  const block = fixture('to-do-checked');
+  const notion = createFakeNotionClient({ pages: [{ id: 'page', properties: {}, children: [block] }] });
+
+  const result = await processBlock(notion, block, 'Old name', 'New name');
+
+  assert.equal(result.modified, true);
+  assert.equal(result.replacements, 1);
+  const stored = notion.getBlock(block.id);
+  assert.equal(plain(stored.to_do.rich_text), 'Ship New name');
+  assert.equal(stored.to_do.checked, true);
+  assert.equal(stored.to_do.color, 'red');
+});
+
+test('processBlock leaves blocks alone in dry runs, without matches and for link previews', async () => {
+  const block = fixture('quote');
+  const notion = createFakeNotionClient({ pages: [{ id: 'page', properties: {}, children: [block] }] });
+
+  const dryRun = await processBlock(notion, block, 'Old name', 'New name', { dryRun: true });
+  assert.equal(dryRun.modified, true);
+  assert.equal(dryRun.replacements, 1);
+
+  const noMatch = await processBlock(notion, block, 'Missing', 'Found');
+  assert.equal(noMatch.modified, false);
+
+  const preview = await processBlock(notion, fixture('link-preview'), 'github.com', 'gitlab.com');
+  assert.equal(preview.modified, false);
+  assert.equal(preview.readOnly, true);
+
+  assert.equal(notion.calls.filter(call => call.method === 'blocks.update').length, 0);
+});
+
+test('processBlock surfaces API errors to the caller', async () => {
+  const block = fixture('paragraph-colored');
+  const notion = createFakeNotionClient({ pages: [{ id: 'page', properties: {}, children: [block] }] });
+  notion.failNext('blocks.update', { status: 400, message: 'Invalid rich text' });
+
+  await assert.rejects(processBlock(notion, block, 'Old', 'New'), /Invalid rich text/);
+});
@@ -1,4 +1,5 @@
-import { Client } from '@notionhq/client';
+import { createNotionClient } from './lib/notion-client.js';
+import { withRetry } from './lib/retry.js';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
@@ -7,9 +8,7 @@ import { CloudflareR2Client } from './lib/cloudflare-r2.js';
 
 dotenv.config();
 
-const notion = new Client({
-  auth: process.env.NOTION_API_KEY,
-});
+const notion = createNotionClient();
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
@@ -238,13 +237,13 @@ class TTSCloudflareWorkflow {
       console.log(chalk.gray(`  🎤 Processing chunk ${i + 1}/${chunks.length} (${chunk.length} chars)`));
 
       try {
-        const mp3Response = await openai.audio.speech.create({
+        const mp3Response = await withRetry(() => openai.audio.speech.create({
           model: "tts-1",
           voice: "onyx",
           input: chunk,
           speed: 1.0,
           response_format: "opus"
-        });
+        }), { operation: `openai.audio.speech.create (chunk ${i + 1})` });
 
         const buffer = Buffer.from(await mp3Response.arrayBuffer());
         audioBuffers.push(buffer);